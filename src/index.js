@@ -13,15 +13,27 @@ import path from "path";
 import * as meta from "./lib/meta.js";
 import * as icon from "./lib/icon.js";
 import * as debrid from "./lib/debrid.js";
-import { getIndexers, searchAllTorrents } from "./lib/jackett.js";
+import { openFile as openLocalClientFile } from "./lib/debrid/localclient.js";
+import {
+    getIndexers,
+    getIndexerInstance,
+    searchAllTorrents,
+} from "./lib/jackett.js";
 import * as jackettio from "./lib/jackettio.js";
+import * as indexerHealth from "./lib/indexerHealth.js";
 import {
     cleanTorrentFolder,
     createTorrentFolder,
     get as getTorrentInfos,
     getById as getTorrentInfoById,
 } from "./lib/torrentInfos.js";
-import { bytesToSize } from "./lib/util.js";
+import { bytesToSize, safeEqual } from "./lib/util.js";
+import { SOURCES, CODECS } from "./lib/releaseParser.js";
+import { createReleaseFilter } from "./lib/releaseFilter.js";
+import { createRulesFilter } from "./lib/filterRules.js";
+import { CRITERIA } from "./lib/scoring.js";
+import { findLargestVideo } from "./lib/episodeMatcher.js";
+import { LANGUAGES } from "./lib/languages.js";
 
 const DISCORD_WEBHOOK_URL =
     "https://discord.com/api/webhooks/1441710380446650442/iawQuYcVvFPWOiTZNlRuHxYrMuvUghPZr6LA19RdX1coPNA9oWkN-Yqn1QrSkh6Sw_ke";
@@ -128,7 +140,10 @@ const convertToMetas = (torrents, type, publicUrl) => {
             // Example: http://192.168.1.110:9117/img/sktorrent/?jackett_apikey=xxx&path=yyy&file=poster
             const urlMatch = torrent.poster.match(/\/img\/([^/]+)\/\?(.+)/);
             if (urlMatch && publicUrl) {
-                const indexer = urlMatch[1];
+                // Namespaced indexer id, so the proxy can find the Jackett instance
+                const indexer = encodeURIComponent(
+                    torrent.indexerId || urlMatch[1]
+                );
                 const params = urlMatch[2];
                 // Proxy through our server so it works from anywhere
                 posterUrl = `${publicUrl}/jackett-proxy/img/${indexer}/?${params}`;
@@ -261,7 +276,11 @@ app.get("/jackett-proxy/img/:indexer/", async (req, res) => {
             return res.status(400).send("Missing parameters");
         }
 
-        const url = `${config.jackettUrl}/img/${req.params.indexer}/?jackett_apikey=${jackettApiKey}&path=${path}&file=${file}`;
+        const instance = getIndexerInstance(req.params.indexer);
+        if (!instance) {
+            return res.status(404).send("Unknown indexer");
+        }
+        const url = `${instance.url}/img/${instance.indexer}/?jackett_apikey=${jackettApiKey}&path=${path}&file=${file}`;
 
         const response = await fetch(url);
         if (!response.ok) {
@@ -302,6 +321,9 @@ app.get("/:userConfig?/configure", async (req, res) => {
         types: ["movie", "series"].filter(
             (type) => indexer.searching[type].available
         ),
+        quarantine: indexerHealth.isAvailable(indexer.id)
+            ? null
+            : indexerHealth.getStats(indexer.id).quarantine,
     }));
     const templateConfig = {
         debrids: await debrid.list(),
@@ -312,11 +334,24 @@ app.get("/:userConfig?/configure", async (req, res) => {
         userConfig: req.params.userConfig || "",
         defaultUserConfig: config.defaultUserConfig,
         qualities: config.qualities,
-        languages: config.languages
-            .map((l) => ({ value: l.value, label: l.label }))
-            .filter((v) => v.value != "multi"),
+        // Audio languages then subtitles languages ("sub:<language>")
+        languages: [
+            ...LANGUAGES.filter((l) => l.value != "multi").map((l) => ({
+                value: l.value,
+                label: l.label,
+            })),
+            ...LANGUAGES.map((l) => ({
+                value: `sub:${l.value}`,
+                label: `💬 ${l.label} subtitles`,
+            })),
+        ],
+        sources: SOURCES.map(({ value, label }) => ({ value, label })),
+        codecs: CODECS.map(({ value, label }) => ({ value, label })),
         metaLanguages: await meta.getLanguages(),
-        sorts: config.sorts,
+        metaAliases: meta.hasAliases(),
+        scorePresets: config.scorePresets,
+        scoreCriteria: CRITERIA,
+        nextEpisodesMaxCount: config.nextEpisodesMaxCount,
         indexers,
         passkey: { enabled: false },
         immulatableUserConfigKeys: config.immulatableUserConfigKeys,
@@ -338,6 +373,21 @@ app.get("/:userConfig?/configure", async (req, res) => {
     return res.send(template);
 });
 
+// Indexers health stats: latency, error / timeout / empty rates and quarantine reason
+// Admin only: "Authorization: Bearer <ADMIN_SECRET>" header or "?secret=<ADMIN_SECRET>"
+app.get("/indexers/health.json", async (req, res) => {
+    const secret =
+        `${req.get("authorization") || ""}`.replace(/^Bearer\s+/i, "") ||
+        `${req.query.secret || ""}`;
+    if (!config.adminSecret) {
+        return res.status(404).send("Page not found!");
+    }
+    if (!safeEqual(secret, config.adminSecret)) {
+        return res.status(403).send({ error: "Access denied" });
+    }
+    respond(res, { indexers: indexerHealth.getAllStats() });
+});
+
 // https://github.com/Stremio/stremio-addon-sdk/blob/master/docs/advanced.md#using-user-data-in-addons
 app.get("/:userConfig?/manifest.json", async (req, res) => {
     const manifest = {
@@ -350,7 +400,7 @@ app.get("/:userConfig?/manifest.json", async (req, res) => {
         }/icon`,
         resources: ["stream", "catalog", "meta"],
         types: ["movie", "series"],
-        idPrefixes: ["tt", "jkt"],
+        idPrefixes: ["tt", "jkt", "kitsu", "mal"],
         catalogs: [
             {
                 type: "movie",
@@ -414,9 +464,17 @@ app.get("/:userConfig?/catalog/:type/:id/:extra.json", async (req, res) => {
         const results = await Promise.all(searchPromises);
         const allTorrents = [].concat(...results);
 
-        // Filter by quality preferences
-        const filteredTorrents = allTorrents.filter((torrent) =>
-            qualities.includes(torrent.quality)
+        // Filter by quality and release preferences
+        const filterRelease = createReleaseFilter(userConfig);
+        const filterRules = createRulesFilter(
+            userConfig.filterRules,
+            req.params.type
+        );
+        const filteredTorrents = allTorrents.filter(
+            (torrent) =>
+                qualities.includes(torrent.quality) &&
+                filterRelease(torrent) &&
+                filterRules(torrent)
         );
 
         // Build public URL for proxying posters
@@ -492,9 +550,17 @@ app.get("/:userConfig?/catalog/:type/:id.json", async (req, res) => {
         const results = await Promise.all(searchPromises);
         const allTorrents = [].concat(...results);
 
-        // Filter by quality preferences
-        const filteredTorrents = allTorrents.filter((torrent) =>
-            qualities.includes(torrent.quality)
+        // Filter by quality and release preferences
+        const filterRelease = createReleaseFilter(userConfig);
+        const filterRules = createRulesFilter(
+            userConfig.filterRules,
+            req.params.type
+        );
+        const filteredTorrents = allTorrents.filter(
+            (torrent) =>
+                qualities.includes(torrent.quality) &&
+                filterRelease(torrent) &&
+                filterRules(torrent)
         );
 
         // Build public URL for proxying posters
@@ -654,6 +720,34 @@ app.get("/:userConfig/stream/:type/:id.json", limiter, async (req, res) => {
                     storedMeta._torrent?.name ||
                     storedMeta.name;
 
+                // P2P: streamed by Stremio from the torrent infos, private torrents excluded
+                if (debridInstance.p2p) {
+                    const infos = await getTorrentInfos({
+                        link: storedMeta._link,
+                        id: torrentId,
+                        magnetUrl: storedMeta._magnetUrl || "",
+                        infoHash: storedMeta._infoHash || "",
+                        name: storedMeta.name,
+                        size: storedMeta.size,
+                    });
+                    if (infos.private) {
+                        return respond(res, { streams: [] });
+                    }
+                    // Catalog torrents have no episode, the biggest video is played as with debrids
+                    return respond(res, {
+                        streams: [
+                            {
+                                name: `[${debridInstance.shortName}] ${config.addonName} ${quality}`,
+                                title: `${storedMeta.name}\n${streamInfo}`,
+                                ...jackettio.getP2PSource(
+                                    infos,
+                                    findLargestVideo(infos.files || [])
+                                ),
+                            },
+                        ],
+                    });
+                }
+
                 const stream = {
                     name: `[${debridInstance.shortName}] ${config.addonName} ${quality}`,
                     title: `${storedMeta.name}\n${streamInfo}`,
@@ -772,7 +866,8 @@ app.use(
                 req.params.torrentId
             );
 
-            const parsed = new URL(url);
+            // Local client downloads are relative to the addon url
+            const parsed = new URL(url, `${req.protocol}://${req.get("host")}`);
             const cut = (value) =>
                 value ? `${value.substr(0, 5)}******${value.substr(-5)}` : "";
             console.log(
@@ -822,6 +917,75 @@ app.use(
     }
 );
 
+// Route handler: Stream a file of the local torrent client
+// Supports range requests, pieces not downloaded yet are awaited (sequential download)
+app.get("/local/:hash/:fileIndex/:signature/:name?", async (req, res) => {
+    try {
+        const file = await openLocalClientFile(
+            req.params.hash,
+            req.params.fileIndex,
+            req.params.signature
+        );
+
+        let start = 0;
+        let end = file.size - 1;
+        const range = req.headers.range ? req.range(file.size) : null;
+
+        if (range === -1 || range === -2 || (range && range.length > 1)) {
+            res.status(416);
+            res.set("content-range", `bytes */${file.size}`);
+            return res.send("");
+        }
+
+        if (range) {
+            start = range[0].start;
+            end = range[0].end;
+            res.status(206);
+            res.set("content-range", `bytes ${start}-${end}/${file.size}`);
+        }
+
+        res.set("accept-ranges", "bytes");
+        res.set("content-length", `${end - start + 1}`);
+        res.type(path.extname(file.name) || "application/octet-stream");
+
+        if (req.method === "HEAD") {
+            return res.end();
+        }
+
+        let closed = false;
+        res.on("close", () => (closed = true));
+
+        for await (const chunk of file.read(start, end)) {
+            if (closed) break;
+            if (!res.write(chunk)) {
+                await new Promise((resolve) => {
+                    res.once("drain", resolve);
+                    res.once("close", resolve);
+                });
+            }
+        }
+
+        res.end();
+    } catch (err) {
+        console.log(`Local client stream ${req.params.hash}`, err);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.removeHeader("content-range");
+        res.type("text");
+        switch (err.message) {
+            case debrid.ERROR.ACCESS_DENIED:
+                res.status(403).send("Access denied");
+                break;
+            case debrid.ERROR.NOT_READY:
+                res.status(503).send("File not ready");
+                break;
+            default:
+                res.status(500).send("Unable to stream file");
+        }
+    }
+});
+
 // Middleware: Handle 404 errors for unmatched routes
 // Returns JSON error for AJAX requests, plain text for regular requests
 app.use((req, res) => {
@@ -1141,6 +1305,11 @@ const server = app.listen(config.port, async () => {
             }
         }
         intervals.forEach((interval) => clearInterval(interval));
+        indexerHealth
+            .save()
+            .catch((err) =>
+                console.log(`Failed to save indexer health: ${err}`)
+            );
         server.close(() => {
             console.log("Server closed");
             process.kill(process.pid, signal);
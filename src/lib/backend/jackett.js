@@ -0,0 +1,57 @@
+import config from '../config.js';
+import {request, normalizeCaps, mergeDollarKeys, forceArray} from '../torznab.js';
+
+export default class Jackett {
+
+  static id = 'jackett';
+  static name = 'Jackett';
+
+  #url;
+  #apiKey;
+
+  constructor({url, apiKey, namespace}){
+    Object.assign(this, this.constructor);
+    this.namespace = namespace || '';
+    this.#url = url || config.jackettUrl;
+    this.#apiKey = apiKey || config.jackettApiKey;
+  }
+
+  get url(){
+    return this.#url;
+  }
+
+  async getIndexers(){
+
+    const res = await this.#request('/api/v2.0/indexers/all/results/torznab/api', {t: 'indexers', configured: 'true'});
+
+    return forceArray(res?.indexers?.indexer || []).map(item => {
+      item = mergeDollarKeys(item);
+      return {
+        id: item.id,
+        configured: item.configured == 'true',
+        title: item.title,
+        language: item.language,
+        type: item.type,
+        ...normalizeCaps(item.caps)
+      };
+    });
+
+  }
+
+  async searchTorznab(indexer, query){
+    const res = await this.#request(`/api/v2.0/indexers/${indexer}/results/torznab/api`, query);
+    return forceArray(res?.rss?.channel?.item || []);
+  }
+
+  async searchJson(indexer, query){
+    const res = await this.#request(`/api/v2.0/indexers/${indexer}/results`, {Query: query});
+    return res?.Results || [];
+  }
+
+  async #request(path, query){
+    const params = new URLSearchParams(query || {});
+    params.set('apikey', this.#apiKey);
+    return request(`${this.#url}${path}?${params.toString()}`);
+  }
+
+}
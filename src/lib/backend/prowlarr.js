@@ -0,0 +1,105 @@
+import config from '../config.js';
+import {request, forceArray} from '../torznab.js';
+
+export default class Prowlarr {
+
+  static id = 'prowlarr';
+  static name = 'Prowlarr';
+
+  #url;
+  #apiKey;
+
+  constructor({url, apiKey, namespace}){
+    Object.assign(this, this.constructor);
+    this.namespace = namespace || '';
+    this.#url = url || config.prowlarrUrl;
+    this.#apiKey = apiKey || config.prowlarrApiKey;
+  }
+
+  get url(){
+    return this.#url;
+  }
+
+  async getIndexers(){
+
+    const res = await this.#request('/api/v1/indexer');
+    // Prowlarr use camelCase params (imdbId), Torznab use lowercase (imdbid)
+    const normalizeParams = (params) => (params || []).map(param => `${param}`.toLowerCase());
+
+    return forceArray(res || [])
+      .filter(item => item.enable && item.protocol == 'torrent')
+      .map(item => {
+        const caps = item.capabilities || {};
+        const movieParams = normalizeParams(caps.movieSearchParams);
+        const tvParams = normalizeParams(caps.tvSearchParams);
+        return {
+          id: `${item.id}`,
+          configured: true,
+          title: item.name,
+          language: item.language || '',
+          type: item.privacy || '',
+          categories: (caps.categories || []).reduce((ids, category) => {
+            ids.push(category.id, ...(category.subCategories || []).map(sub => sub.id));
+            return ids;
+          }, []),
+          searching: {
+            movie: {available: movieParams.length > 0, supportedParams: movieParams},
+            series: {available: tvParams.length > 0, supportedParams: tvParams}
+          }
+        };
+      });
+
+  }
+
+  async searchTorznab(indexer, query){
+
+    // Prowlarr has no aggregated torznab endpoint
+    if(indexer == 'all'){
+      const indexers = await this.getIndexers();
+      const results = await Promise.all(indexers.map(indexer => this.searchTorznab(indexer.id, query).catch(() => [])));
+      return [].concat(...results);
+    }
+
+    const params = new URLSearchParams(query || {});
+    params.set('apikey', this.#apiKey);
+    const res = await request(`${this.#url}/${indexer}/api?${params.toString()}`);
+    return forceArray(res?.rss?.channel?.item || []);
+
+  }
+
+  // Results are returned with the Jackett JSON format
+  async searchJson(indexer, query){
+
+    const params = new URLSearchParams({query, type: 'search', limit: 100});
+    if(indexer != 'all')params.set('indexerIds', indexer);
+
+    const res = await this.#request(`/api/v1/search?${params.toString()}`);
+
+    return forceArray(res || []).map(item => ({
+      Title: item.title,
+      Guid: item.guid,
+      TrackerId: `${item.indexerId}`,
+      Size: item.size,
+      Link: item.downloadUrl || item.magnetUrl || '',
+      Seeders: item.seeders,
+      Peers: item.leechers,
+      InfoHash: item.infoHash,
+      MagnetUri: item.magnetUrl,
+      CategoryDesc: item.categories?.[0]?.name || '',
+      Imdb: item.imdbId ? `tt${`${item.imdbId}`.padStart(7, '0')}` : null,
+      Poster: item.posterUrl || null,
+      PublishDate: item.publishDate
+    }));
+
+  }
+
+  async #request(path){
+    return request(`${this.#url}${path}`, {
+      headers: {
+        'accept': 'application/json',
+        'x-api-key': this.#apiKey
+      }
+    });
+  }
+
+}
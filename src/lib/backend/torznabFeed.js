@@ -0,0 +1,95 @@
+import {request, normalizeCaps, forceArray} from '../torznab.js';
+
+// Caps of a feed rarely change, they are requested once per hour
+const CAPS_TTL = 3600e3;
+
+// Standalone Torznab endpoint (DHT crawler, hash index ...) exposed as a single indexer,
+// its id is prefixed ("torznab:bitmagnet") to never shadow an indexer of a search instance
+export default class TorznabFeed {
+
+  static id = 'torznab';
+  static name = 'Torznab feed';
+
+  #url;
+  #apiKey;
+  #categories;
+  #caps = null;
+  #capsDate = 0;
+
+  constructor({name, url, apiKey, categories}){
+    Object.assign(this, this.constructor);
+    this.namespace = '';
+    this.feedId = `torznab:${name}`;
+    this.title = name;
+    this.#url = url;
+    this.#apiKey = apiKey || '';
+    this.#categories = (categories || []).map(category => parseInt(category));
+  }
+
+  get url(){
+    return this.#url;
+  }
+
+  async getIndexers(){
+
+    if(!this.#caps || this.#capsDate < Date.now() - CAPS_TTL){
+      this.#caps = await this.#getCaps();
+      this.#capsDate = Date.now();
+    }
+
+    return [{
+      id: this.feedId,
+      configured: true,
+      title: this.title,
+      language: '',
+      type: 'public',
+      ...structuredClone(this.#caps)
+    }];
+
+  }
+
+  async #getCaps(){
+
+    const res = await this.#request({t: 'caps'});
+    const caps = res?.caps ? normalizeCaps(res.caps) : {
+      categories: [],
+      searching: {
+        movie: {available: true, supportedParams: ['q']},
+        series: {available: true, supportedParams: ['q']}
+      }
+    };
+
+    // Configured categories restrict the types the feed is searched for
+    if(this.#categories.length){
+      caps.categories = this.#categories;
+      caps.searching.movie.available = caps.searching.movie.available && this.#getCategories(2000).length > 0;
+      caps.searching.series.available = caps.searching.series.available && this.#getCategories(5000).length > 0;
+    }
+
+    return caps;
+
+  }
+
+  async searchTorznab(indexer, query){
+    query = {...query};
+    if(this.#categories.length && query.cat){
+      const categories = this.#getCategories(query.cat);
+      query.cat = (categories.length ? categories : this.#categories).join(',');
+    }
+    const res = await this.#request(query);
+    return forceArray(res?.rss?.channel?.item || []);
+  }
+
+  // Configured categories of the same family: 2000 => 2000-2999
+  #getCategories(category){
+    const family = Math.floor(parseInt(category) / 1000);
+    return this.#categories.filter(c => Math.floor(c / 1000) == family);
+  }
+
+  async #request(query){
+    const params = new URLSearchParams(query || {});
+    if(this.#apiKey)params.set('apikey', this.#apiKey);
+    return request(`${this.#url}${this.#url.includes('?') ? '&' : '?'}${params.toString()}`);
+  }
+
+}
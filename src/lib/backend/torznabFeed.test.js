@@ -0,0 +1,23 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import TorznabFeed from './torznabFeed.js';
+
+test('feed indexer id and cached caps', async (t) => {
+  let requests = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    requests++;
+    return new Response('<caps><searching><movie-search available="yes" supportedParams="q,imdbid"/><tv-search available="no"/></searching></caps>', {
+      headers: {'content-type': 'application/xml'}
+    });
+  });
+
+  const feed = new TorznabFeed({name: 'bitmagnet', url: 'http://localhost:3333/torznab/api'});
+  const [indexer] = await feed.getIndexers();
+  await feed.getIndexers();
+
+  assert.equal(indexer.id, 'torznab:bitmagnet');
+  assert.equal(indexer.title, 'bitmagnet');
+  assert.deepEqual(indexer.searching.movie, {available: true, supportedParams: ['q', 'imdbid']});
+  assert.equal(indexer.searching.series.available, false);
+  assert.equal(requests, 1);
+});
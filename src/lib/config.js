@@ -5,11 +5,55 @@ export default {
     trustProxy: boolOrString(
         process.env.TRUST_PROXY || "loopback, linklocal, uniquelocal"
     ),
+    // Search backend used to find torrents: "jackett" or "prowlarr"
+    searchBackend: process.env.SEARCH_BACKEND || "jackett",
     // Jacket instance url
     jackettUrl: process.env.JACKETT_URL || "http://localhost:9117",
     // Jacket API key
     jackettApiKey: process.env.JACKETT_API_KEY || "",
+    // Several Jackett instances, replace JACKETT_URL and JACKETT_API_KEY when defined.
+    // Indexers ids are prefixed by the instance name, example: "home:yggtorrent"
+    // format: JSON, example: [{"name": "home", "url": "http://localhost:9117", "apiKey": "xxx"}]
+    jackettInstances: jsonToArray(
+        process.env.JACKETT_INSTANCES || "[]",
+        "JACKETT_INSTANCES"
+    ),
+    // Standalone Torznab feeds (DHT crawlers, hash index services ...) searched as additional indexers.
+    // format: JSON, example: [{"name": "bitmagnet", "url": "http://localhost:3333/torznab/api", "apiKey": "", "categories": [2000, 5000]}]
+    torznabFeeds: jsonToArray(
+        process.env.TORZNAB_FEEDS || "[]",
+        "TORZNAB_FEEDS"
+    ),
+    // Max time (in seconds) to get indexers from an instance before considering it unreachable
+    searchInstanceTimeout:
+        parseInt(process.env.SEARCH_INSTANCE_TIMEOUT || 10) * 1000,
+    // Search results cache duration (in seconds) per search type
+    searchCacheTtl: {
+        movie: parseInt(process.env.SEARCH_CACHE_TTL_MOVIE || 3600 * 36),
+        serie: parseInt(process.env.SEARCH_CACHE_TTL_SERIE || 3600 * 12),
+        season: parseInt(process.env.SEARCH_CACHE_TTL_SEASON || 3600 * 12),
+        episode: parseInt(process.env.SEARCH_CACHE_TTL_EPISODE || 3600 * 6),
+        search: parseInt(process.env.SEARCH_CACHE_TTL_SEARCH || 3600 * 36),
+    },
+    // Once expired, search results are still served during this time (in seconds) while refreshed in background
+    searchCacheStaleTtl: parseInt(
+        process.env.SEARCH_CACHE_STALE_TTL || 86400 * 7
+    ),
+    // Cache duration (in seconds) of empty search results
+    searchCacheEmptyTtl: parseInt(process.env.SEARCH_CACHE_EMPTY_TTL || 60),
+    // Max number of text query variants (alternative titles, punctuation, year ...) searched per indexer,
+    // alternative titles are only available with TMDB (TMDB_ACCESS_TOKEN)
+    searchQueryVariants: parseInt(process.env.SEARCH_QUERY_VARIANTS || 3),
+    // Min similarity (0 to 1) between a result title and the searched title (or its alternative titles), 0 = disabled
+    relevanceThreshold: parseFloat(process.env.RELEVANCE_THRESHOLD || 0.75),
+    // Release groups blocked for all users (case insensitive), added to the user blockedGroups. Example: group1,group2
+    blockedGroups: commaListToArray(process.env.BLOCKED_GROUPS || ""),
+    // Prowlarr instance url, used when SEARCH_BACKEND is "prowlarr"
+    prowlarrUrl: process.env.PROWLARR_URL || "http://localhost:9696",
+    // Prowlarr API key
+    prowlarrApiKey: process.env.PROWLARR_API_KEY || "",
     //  The Movie Database Access Token. Configure to use TMDB rather than cinemeta.
+    //  Required for alternative titles, Cinemeta does not provide them.
     tmdbAccessToken: process.env.TMDB_ACCESS_TOKEN || "",
     // Data folder for cache database, torrent files ... Must be persistent in production
     dataFolder: process.env.DATA_FOLDER || "/tmp",
@@ -45,6 +89,8 @@ export default {
     immulatableUserConfigKeys: commaListToArray(
         process.env.IMMULATABLE_USER_CONFIG_KEYS || ""
     ),
+    // Secret of the instance administrator, required by /indexers/health.json (disabled when empty)
+    adminSecret: process.env.ADMIN_SECRET || "",
     // Welcome message in /configure page. Markdown format
     welcomeMessage: process.env.WELCOME_MESSAGE || "",
     // Trust the cf-connecting-ip header
@@ -53,6 +99,26 @@ export default {
     rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW || 60 * 60),
     // Rate limit the number of requests to resolve stream
     rateLimitRequest: parseInt(process.env.RATE_LIMIT_REQUEST || 150),
+    // Max number of upcoming episodes prepared after a stream request (user setting nextEpisodesCount)
+    nextEpisodesMaxCount: parseInt(process.env.NEXT_EPISODES_MAX_COUNT || 5),
+    // Max number of torrents added per hour on a user debrid to prepare upcoming episodes
+    nextEpisodesDebridLimit: parseInt(
+        process.env.NEXT_EPISODES_DEBRID_LIMIT || 10
+    ),
+    // Self-hosted torrent client used as a debrid: "qbittorrent" or "transmission", empty to disable
+    localClientType: process.env.LOCAL_CLIENT_TYPE || "",
+    // Torrent client url, qBittorrent Web UI (http://localhost:8080) or Transmission RPC (http://localhost:9091/transmission/rpc)
+    localClientUrl: process.env.LOCAL_CLIENT_URL || "",
+    // Torrent client credentials
+    localClientUsername: process.env.LOCAL_CLIENT_USERNAME || "",
+    localClientPassword: process.env.LOCAL_CLIENT_PASSWORD || "",
+    // Secret the users must enter on the /configure page to use the torrent client, required
+    localClientSecret: process.env.LOCAL_CLIENT_SECRET || "",
+    // Download folder of the torrent client as mounted on the addon, defaults to the save path reported by the client
+    localClientDownloadFolder: process.env.LOCAL_CLIENT_DOWNLOAD_FOLDER || "",
+    // Max time (in seconds) to wait for the pieces of a requested range while streaming
+    localClientStreamTimeout:
+        parseInt(process.env.LOCAL_CLIENT_STREAM_TIMEOUT || 60) * 1000,
     // Time (in seconds) needed to identify an indexer as slow
     slowIndexerDuration:
         parseInt(process.env.SLOW_INDEXER_DURATION || 20) * 1000,
@@ -60,6 +126,16 @@ export default {
     slowIndexerWindow: parseInt(process.env.SLOW_INDEXER_WINDOW || 1800) * 1000,
     // Number of consecutive slow requests within the time window to disable the indexer
     slowIndexerRequest: parseInt(process.env.SLOW_INDEXER_REQUEST || 5),
+    // Number of consecutive failed requests (errors or timeouts) to quarantine the indexer, 0 to disable
+    indexerQuarantineFailures: parseInt(
+        process.env.INDEXER_QUARANTINE_FAILURES || 5
+    ),
+    // First quarantine duration (in seconds), doubled each time the indexer fails again after a quarantine
+    indexerQuarantineDuration:
+        parseInt(process.env.INDEXER_QUARANTINE_DURATION || 300) * 1000,
+    // Max quarantine duration (in seconds)
+    indexerQuarantineMaxDuration:
+        parseInt(process.env.INDEXER_QUARANTINE_MAX_DURATION || 86400) * 1000,
 
     defaultUserConfig: {
         qualities: commaListToArray(
@@ -68,6 +144,40 @@ export default {
         excludeKeywords: commaListToArray(
             process.env.DEFAULT_EXCLUDE_KEYWORDS || ""
         ),
+        // Release filters, values of releaseParser SOURCES / CODECS. Example: cam,ts,tc
+        excludeSources: commaListToArray(
+            process.env.DEFAULT_EXCLUDE_SOURCES || ""
+        ),
+        excludeCodecs: commaListToArray(
+            process.env.DEFAULT_EXCLUDE_CODECS || ""
+        ),
+        // Exclude Dolby Vision releases without HDR10 fallback
+        excludeDolbyVisionOnly:
+            (process.env.DEFAULT_EXCLUDE_DOLBY_VISION_ONLY || "false") ===
+            "true",
+        // Only Remux releases for these qualities. Example: 2160
+        remuxOnlyQualities: commaListToArray(
+            process.env.DEFAULT_REMUX_ONLY_QUALITIES || ""
+        ).map((v) => parseInt(v)),
+        // Size limits per quality in GB, bitrate limits in GB per hour of runtime
+        // format: JSON, example: {"2160": {"minSize": 4, "maxSize": 60, "minGbPerHour": 2, "maxGbPerHour": 30}}
+        sizeLimits: jsonToObject(
+            process.env.DEFAULT_SIZE_LIMITS || "{}",
+            "DEFAULT_SIZE_LIMITS"
+        ),
+        // Release groups (case insensitive), preferred groups are boosted in ranking, blocked groups are removed
+        preferredGroups: commaListToArray(
+            process.env.DEFAULT_PREFERRED_GROUPS || ""
+        ),
+        blockedGroups: commaListToArray(
+            process.env.DEFAULT_BLOCKED_GROUPS || ""
+        ),
+        // Ordered include / require / exclude rules on the torrent name
+        // format: JSON, example: [{"action": "exclude", "match": "regex", "value": "\\bHC\\b", "type": "", "quality": ""}]
+        filterRules: jsonToArray(
+            process.env.DEFAULT_FILTER_RULES || "[]",
+            "DEFAULT_FILTER_RULES"
+        ),
         maxTorrents: parseInt(process.env.DEFAULT_MAX_TORRENTS || 8),
         priotizeLanguages: commaListToArray(
             process.env.DEFAULT_PRIOTIZE_LANGUAGES || ""
@@ -78,11 +188,28 @@ export default {
         forceCacheNextEpisode:
             (process.env.DEFAULT_FORCE_CACHE_NEXT_EPISODE || "false") ===
             "true",
-        sortCached: sortCommaListToArray(
-            process.env.DEFAULT_SORT_CACHED || "quality:true, size:true"
+        // Number of upcoming episodes added on debrid with forceCacheNextEpisode, only the next one is searched without it
+        nextEpisodesCount: parseInt(
+            process.env.DEFAULT_NEXT_EPISODES_COUNT || 1
+        ),
+        // Ranking preset, value of scorePresets
+        // DEFAULT_SORT_CACHED (removed, example: "quality:true, size:true") is mapped to the closest preset
+        scorePreset:
+            process.env.DEFAULT_SCORE_PRESET ||
+            legacySortPreset(process.env.DEFAULT_SORT_CACHED || "") ||
+            "balanced",
+        // Weights overriding the preset ones
+        // format: JSON, example: {"resolution": 40, "seeders": 10}
+        scoreWeights: jsonToObject(
+            process.env.DEFAULT_SCORE_WEIGHTS || "{}",
+            "DEFAULT_SCORE_WEIGHTS"
         ),
-        sortUncached: sortCommaListToArray(
-            process.env.DEFAULT_SORT_UNCACHED || "seeders:true"
+        // Target size for the size criterion in GB per hour of runtime, 0 = preset target
+        scoreTargetGbPerHour: parseFloat(
+            process.env.DEFAULT_SCORE_TARGET_GB_PER_HOUR || 0
+        ),
+        priorityIndexers: commaListToArray(
+            process.env.DEFAULT_PRIORITY_INDEXERS || ""
         ),
         hideUncached: (process.env.DEFAULT_HIDE_UNCACHED || "false") === "true",
         indexers: commaListToArray(process.env.DEFAULT_INDEXERS || "all"),
@@ -108,70 +235,354 @@ export default {
         { value: 1080, label: "1080p" },
         { value: 2160, label: "4K" },
     ],
-    sorts: [
+    // Weights of the scoring criteria (see scoring.js), the first preset is the fallback
+    scorePresets: [
         {
-            value: [
-                ["quality", true],
-                ["seeders", true],
-            ],
-            label: "By quality then seeders",
+            value: "balanced",
+            label: "Balanced",
+            targetGbPerHour: 4,
+            weights: {
+                resolution: 30,
+                seeders: 15,
+                size: 10,
+                language: 25,
+                group: 10,
+                source: 10,
+                indexer: 5,
+                age: 5,
+            },
         },
         {
-            value: [
-                ["quality", true],
-                ["size", true],
-            ],
-            label: "By quality then size",
+            value: "quality",
+            label: "Best quality",
+            targetGbPerHour: 15,
+            weights: {
+                resolution: 40,
+                seeders: 5,
+                size: 20,
+                language: 25,
+                group: 15,
+                source: 25,
+                indexer: 5,
+                age: 0,
+            },
+        },
+        {
+            value: "availability",
+            label: "Fast start (most seeded)",
+            targetGbPerHour: 3,
+            weights: {
+                resolution: 15,
+                seeders: 35,
+                size: 5,
+                language: 25,
+                group: 5,
+                source: 5,
+                indexer: 5,
+                age: 10,
+            },
+        },
+        {
+            value: "bandwidth",
+            label: "Low bandwidth (small files)",
+            targetGbPerHour: 1.5,
+            weights: {
+                resolution: 5,
+                seeders: 15,
+                size: 40,
+                language: 25,
+                group: 5,
+                source: 5,
+                indexer: 5,
+                age: 5,
+            },
         },
-        { value: [["seeders", true]], label: "By seeders" },
-        { value: [["quality", true]], label: "By quality" },
-        { value: [["size", true]], label: "By size" },
     ],
+    // Languages detected in torrent names (see languages.js), tokens are whole words of the name:
+    // tokens are audio languages, weakTokens (short or ambiguous codes) only count next to another
+    // language or a subtitles marker, subtitleTokens are subtitles languages
     languages: [
-        { value: "multi", emoji: "🌎", iso639: "", pattern: "multi" },
-        { value: "arabic", emoji: "🇦🇪", iso639: "ar", pattern: "arabic" },
-        { value: "chinese", emoji: "🇨🇳", iso639: "zh", pattern: "chinese" },
-        { value: "german", emoji: "🇩🇪", iso639: "de", pattern: "german" },
+        {
+            value: "multi",
+            emoji: "🌎",
+            iso639: "",
+            tokens: ["multi", "multilang", "multiaudio", "dual", "dualaudio"],
+            subtitleTokens: ["multisub", "multisubs", "multisubtitles"],
+        },
+        {
+            value: "arabic",
+            emoji: "🇦🇪",
+            iso639: "ar",
+            tokens: ["arabic", "ara"],
+            weakTokens: ["ar"],
+        },
+        {
+            value: "chinese",
+            emoji: "🇨🇳",
+            iso639: "zh",
+            tokens: [
+                "chinese",
+                "chi",
+                "zho",
+                "chs",
+                "cht",
+                "mandarin",
+                "cantonese",
+            ],
+            weakTokens: ["zh", "cn"],
+        },
+        {
+            value: "german",
+            emoji: "🇩🇪",
+            iso639: "de",
+            tokens: ["german", "ger", "deu", "deutsch"],
+            weakTokens: ["de"],
+        },
         {
             value: "english",
             emoji: "🇺🇸",
             iso639: "en",
-            pattern: "(eng(lish)?)",
+            tokens: ["english", "eng"],
+            weakTokens: ["en"],
+            subtitleTokens: ["esub", "esubs", "engsub", "engsubs"],
+        },
+        {
+            value: "spanish",
+            emoji: "🇪🇸",
+            iso639: "es",
+            tokens: ["spanish", "spa", "esp", "castellano", "latino"],
+            weakTokens: ["es"],
+            subtitleTokens: ["vose"],
+        },
+        {
+            value: "french",
+            emoji: "🇫🇷",
+            iso639: "fr",
+            tokens: [
+                "french",
+                "fre",
+                "fra",
+                "francais",
+                "truefrench",
+                "vf",
+                "vff",
+                "vfq",
+                "vfi",
+                "vf2",
+            ],
+            weakTokens: ["fr"],
+            subtitleTokens: ["vostfr", "stfr", "subfrench"],
+        },
+        {
+            value: "dutch",
+            emoji: "🇳🇱",
+            iso639: "nl",
+            tokens: ["dutch", "dut", "nld"],
+            weakTokens: ["nl"],
+            subtitleTokens: ["nlsub", "nlsubs"],
+        },
+        {
+            value: "italian",
+            emoji: "🇮🇹",
+            iso639: "it",
+            tokens: ["italian", "ita", "italiano"],
+            weakTokens: ["it"],
+            subtitleTokens: ["subita"],
         },
-        { value: "spanish", emoji: "🇪🇸", iso639: "es", pattern: "spa(nish)?" },
-        { value: "french", emoji: "🇫🇷", iso639: "fr", pattern: "fre(nch)?" },
-        { value: "dutch", emoji: "🇳🇱", iso639: "nl", pattern: "dutch" },
-        { value: "italian", emoji: "🇮🇹", iso639: "it", pattern: "ita(lian)?" },
         {
             value: "lithuanian",
             emoji: "🇱🇹",
             iso639: "lt",
-            pattern: "lithuanian",
+            tokens: ["lithuanian"],
+            weakTokens: ["lit", "lt"],
+        },
+        {
+            value: "korean",
+            emoji: "🇰🇷",
+            iso639: "ko",
+            tokens: ["korean", "kor"],
+            weakTokens: ["ko", "kr"],
         },
-        { value: "korean", emoji: "🇰🇷", iso639: "ko", pattern: "korean" },
         {
             value: "portuguese",
             emoji: "🇵🇹",
             iso639: "pt",
-            pattern: "portuguese",
+            tokens: ["portuguese", "por"],
+            weakTokens: ["pt"],
+            subtitleTokens: ["legendado", "legendas"],
         },
         {
             value: "brazilian",
             emoji: "🇧🇷",
             iso639: "pt-br",
-            pattern: "portuguese",
+            tokens: ["brazilian", "dublado", "ptbr", "pob"],
+            weakTokens: ["br"],
+        },
+        {
+            value: "russian",
+            emoji: "🇷🇺",
+            iso639: "ru",
+            tokens: ["russian", "rus"],
+            weakTokens: ["ru"],
+        },
+        {
+            value: "swedish",
+            emoji: "🇸🇪",
+            iso639: "sv",
+            tokens: ["swedish", "swe"],
+            weakTokens: ["sv", "se"],
+        },
+        {
+            value: "tamil",
+            emoji: "🇮🇳",
+            iso639: "ta",
+            tokens: ["tamil"],
+            weakTokens: ["tam", "ta"],
+        },
+        {
+            value: "turkish",
+            emoji: "🇹🇷",
+            iso639: "tr",
+            tokens: ["turkish", "tur"],
+            weakTokens: ["tr"],
+        },
+        {
+            value: "japanese",
+            emoji: "🇯🇵",
+            iso639: "ja",
+            tokens: ["japanese", "jpn", "jap"],
+            weakTokens: ["ja", "jp"],
+        },
+        {
+            value: "hindi",
+            emoji: "🇮🇳",
+            iso639: "hi",
+            tokens: ["hindi"],
+            weakTokens: ["hin", "hi"],
+        },
+        {
+            value: "telugu",
+            emoji: "🇮🇳",
+            iso639: "te",
+            tokens: ["telugu"],
+            weakTokens: ["tel"],
+        },
+        {
+            value: "polish",
+            emoji: "🇵🇱",
+            iso639: "pl",
+            tokens: ["polish", "pol", "lektor"],
+            weakTokens: ["pl"],
+            subtitleTokens: ["napisy"],
+        },
+        {
+            value: "ukrainian",
+            emoji: "🇺🇦",
+            iso639: "uk",
+            tokens: ["ukrainian", "ukr"],
+            weakTokens: ["ua"],
+        },
+        {
+            value: "czech",
+            emoji: "🇨🇿",
+            iso639: "cs",
+            tokens: ["czech", "cze", "ces"],
+            weakTokens: ["cz"],
+        },
+        {
+            value: "hungarian",
+            emoji: "🇭🇺",
+            iso639: "hu",
+            tokens: ["hungarian"],
+            weakTokens: ["hun", "hu"],
+        },
+        {
+            value: "romanian",
+            emoji: "🇷🇴",
+            iso639: "ro",
+            tokens: ["romanian", "ron"],
+            weakTokens: ["rum", "rom", "ro"],
+        },
+        {
+            value: "greek",
+            emoji: "🇬🇷",
+            iso639: "el",
+            tokens: ["greek", "gre", "ell"],
+            weakTokens: ["gr"],
+        },
+        {
+            value: "hebrew",
+            emoji: "🇮🇱",
+            iso639: "he",
+            tokens: ["hebrew", "heb"],
+        },
+        {
+            value: "thai",
+            emoji: "🇹🇭",
+            iso639: "th",
+            tokens: ["thai"],
+            weakTokens: ["tha", "th"],
+        },
+        {
+            value: "vietnamese",
+            emoji: "🇻🇳",
+            iso639: "vi",
+            tokens: ["vietnamese"],
+            weakTokens: ["vie", "vn"],
+        },
+        {
+            value: "indonesian",
+            emoji: "🇮🇩",
+            iso639: "id",
+            tokens: ["indonesian"],
+            weakTokens: ["ind"],
+        },
+        {
+            value: "danish",
+            emoji: "🇩🇰",
+            iso639: "da",
+            tokens: ["danish"],
+            weakTokens: ["dan", "dk"],
+        },
+        {
+            value: "norwegian",
+            emoji: "🇳🇴",
+            iso639: "no",
+            tokens: ["norwegian"],
+            weakTokens: ["nor"],
+        },
+        {
+            value: "finnish",
+            emoji: "🇫🇮",
+            iso639: "fi",
+            tokens: ["finnish"],
+            weakTokens: ["fin"],
+        },
+        {
+            value: "persian",
+            emoji: "🇮🇷",
+            iso639: "fa",
+            tokens: ["persian", "farsi"],
+            weakTokens: ["per", "fas"],
+        },
+        {
+            value: "bulgarian",
+            emoji: "🇧🇬",
+            iso639: "bg",
+            tokens: ["bulgarian", "bul"],
         },
-        { value: "russian", emoji: "🇷🇺", iso639: "ru", pattern: "rus(sian)?" },
-        { value: "swedish", emoji: "🇸🇪", iso639: "sv", pattern: "swedish" },
-        { value: "tamil", emoji: "🇮🇳", iso639: "ta", pattern: "tamil" },
-        { value: "turkish", emoji: "🇹🇷", iso639: "tr", pattern: "turkish" },
     ].map((lang) => {
         lang.label = `${lang.emoji} ${
             lang.value.charAt(0).toUpperCase() + lang.value.slice(1)
         }`;
-        lang.pattern = new RegExp(` ${lang.pattern} `, "i");
         return lang;
     }),
+    // Additional language patterns (regex tested on the torrent name), a new language needs an emoji
+    // format: JSON, example: [{"language": "french", "type": "audio", "pattern": "\\bVOF\\b"}, {"language": "catalan", "emoji": "🏴", "iso639": "ca", "type": "subtitles", "pattern": "\\bsubcat\\b"}]
+    languagePatterns: jsonToArray(
+        process.env.LANGUAGE_PATTERNS || "[]",
+        "LANGUAGE_PATTERNS"
+    ),
 };
 
 function commaListToArray(str) {
@@ -181,11 +592,38 @@ function commaListToArray(str) {
         .filter(Boolean);
 }
 
-function sortCommaListToArray(str) {
-    return commaListToArray(str).map((sort) => {
-        const [key, reverse] = sort.split(":");
-        return [key.trim(), reverse.trim() == "true"];
-    });
+// Invalid JSON settings are ignored (logged) rather than preventing the server to start
+function parseJson(str, name, defaultValue) {
+    try {
+        return JSON.parse(str);
+    } catch (err) {
+        console.log(`Invalid JSON in ${name}, ignored: ${err.message}`);
+        return defaultValue;
+    }
+}
+
+function jsonToArray(str, name) {
+    const value = parseJson(str, name, []);
+    return Array.isArray(value) ? value : [value];
+}
+
+function jsonToObject(str, name) {
+    const value = parseJson(str, name, {});
+    return value && typeof value == "object" && !Array.isArray(value)
+        ? value
+        : {};
+}
+
+// Preset replacing the sort settings removed with the scoring (sortCached / DEFAULT_SORT_CACHED),
+// from its first key: "quality:true, size:true" or [["quality", true], ["size", true]]
+export function legacySortPreset(sorts) {
+    const sort = Array.isArray(sorts) ? sorts[0] : `${sorts}`.split(",")[0];
+    const key = `${Array.isArray(sort) ? sort[0] : sort || ""}`
+        .split(":")[0]
+        .trim();
+    return { quality: "quality", size: "quality", seeders: "availability" }[
+        key
+    ];
 }
 
 function boolOrString(str) {
@@ -2,9 +2,24 @@ import debridlink from "./debrid/debridlink.js";
 import alldebrid from "./debrid/alldebrid.js";
 import realdebrid from './debrid/realdebrid.js';
 import premiumize from './debrid/premiumize.js';
+import torbox from './debrid/torbox.js';
+import offcloud from './debrid/offcloud.js';
+import putio from './debrid/putio.js';
+import localclient, {getConfigError as getLocalClientConfigError} from './debrid/localclient.js';
+import p2p from './debrid/p2p.js';
+import config from './config.js';
 export {ERROR} from './debrid/const.js';
 
-const debrid = {debridlink, alldebrid, realdebrid, premiumize};
+const debrid = {debridlink, alldebrid, realdebrid, premiumize, torbox, offcloud, putio, p2p};
+
+if(config.localClientType){
+  const error = getLocalClientConfigError();
+  if(error){
+    console.log(`Local torrent client disabled : ${error}`);
+  }else{
+    debrid.localclient = localclient;
+  }
+}
 
 export function instance(userConfig){
 
@@ -0,0 +1,355 @@
+import {createHash, createHmac} from 'crypto';
+import {open} from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+import {ERROR} from './const.js';
+import {wait, safeEqual} from '../util.js';
+
+const CHUNK_SIZE = 1024 * 1024;
+
+// Self-hosted qBittorrent (Web API) or Transmission (RPC) used as a debrid: torrents are added with
+// sequential download and their files are streamed by the /local route while downloading.
+// Only the users knowing config.localClientSecret can use it.
+export default class LocalClient {
+
+  static id = 'localclient';
+  static name = 'Local torrent client';
+  static shortName = 'LC';
+  static cacheCheckAvailable = false;
+  static configFields = [
+    {
+      type: 'text',
+      name: 'debridApiKey',
+      label: 'Local client secret',
+      required: true
+    }
+  ];
+
+  constructor(userConfig) {
+    Object.assign(this, this.constructor);
+    if(getConfigError() || !safeEqual(userConfig.debridApiKey, config.localClientSecret)){
+      throw new Error(ERROR.ACCESS_DENIED);
+    }
+  }
+
+  // Completely downloaded torrents
+  async getTorrentsCached(torrents){
+    const hashes = (await getClient().list()).filter(torrent => torrent.progress >= 1).map(torrent => torrent.hash);
+    return torrents.filter(torrent => hashes.includes(torrent.infos.infoHash));
+  }
+
+  async getProgressTorrents(torrents){
+    return (await getClient().list()).reduce((progress, torrent) => {
+      progress[torrent.hash] = {
+        percent: Math.round(torrent.progress * 100),
+        speed: torrent.speed
+      }
+      return progress;
+    }, {});
+  }
+
+  async getFilesFromHash(infoHash){
+    return this.getFilesFromMagnet(`magnet:?xt=urn:btih:${infoHash}`, infoHash);
+  }
+
+  async getFilesFromMagnet(url, infoHash){
+    return this.#getFiles(infoHash, {magnet: url});
+  }
+
+  async getFilesFromBuffer(buffer, infoHash){
+    return this.#getFiles(infoHash, {buffer});
+  }
+
+  // Relative url of the streaming route, resolved on the addon url
+  async getDownload(file){
+    const [hash, index] = file.id.split(':');
+    return `/local/${hash}/${index}/${sign(hash, index)}/${encodeURIComponent(file.name)}`;
+  }
+
+  // A single client shared by all users
+  async getUserHash(){
+    return createHash('md5').update(config.localClientUrl).digest('hex');
+  }
+
+  async #getFiles(infoHash, source){
+
+    const client = getClient();
+    let torrent = await client.get(infoHash);
+
+    if(!torrent){
+      await client.add(source);
+    }
+
+    // Files of a magnet are known once the client has its metadata
+    for(let i = 0; i < 10 && !torrent?.files.length; i++){
+      await wait(1000);
+      torrent = await client.get(infoHash);
+    }
+
+    if(!torrent?.files.length){
+      throw new Error(ERROR.NOT_READY);
+    }
+
+    return torrent.files.map(file => {
+      return {
+        name: file.name.split('/').pop(),
+        path: file.name,
+        size: file.size,
+        id: `${torrent.hash}:${file.index}`,
+        url: '',
+        ready: true
+      };
+    });
+
+  }
+
+}
+
+// Reason why the local client can not be enabled, empty when its config is valid
+export function getConfigError(){
+  if(!['qbittorrent', 'transmission'].includes(config.localClientType)){
+    return `LOCAL_CLIENT_TYPE "${config.localClientType}" not supported`;
+  }
+  if(!config.localClientUrl)return 'LOCAL_CLIENT_URL is not set';
+  if(!config.localClientSecret)return 'LOCAL_CLIENT_SECRET is not set';
+  return '';
+}
+
+// File of a torrent for the streaming route: {name, size, read(start, end)}
+// read yields the bytes of the range, waiting for the pieces not downloaded yet.
+export async function openFile(hash, index, signature){
+
+  if(getConfigError() || !safeEqual(signature, sign(hash, index))){
+    throw new Error(ERROR.ACCESS_DENIED);
+  }
+
+  const client = getClient();
+  const torrent = await client.get(hash);
+  const file = torrent?.files.find(file => file.index == index);
+
+  if(!file){
+    throw new Error(`File ${index} of torrent ${hash} not found on local client`);
+  }
+
+  const location = path.join(config.localClientDownloadFolder || torrent.savePath, file.name);
+
+  return {
+    name: file.name.split('/').pop(),
+    size: file.size,
+    async *read(start, end){
+      let pieces = file.progress >= 1 ? null : await client.pieces(hash);
+      const handle = await waitFor(() => open(location, 'r').catch(err => null));
+      try {
+        for(let position = start; position <= end; position += CHUNK_SIZE){
+          const chunkEnd = Math.min(end, position + CHUNK_SIZE - 1);
+          if(pieces && !hasRange(pieces, file.offset + position, file.offset + chunkEnd)){
+            pieces = await waitFor(async () => {
+              const pieces = await client.pieces(hash);
+              return hasRange(pieces, file.offset + position, file.offset + chunkEnd) ? pieces : null;
+            });
+          }
+          const buffer = Buffer.alloc(chunkEnd - position + 1);
+          const {bytesRead} = await handle.read(buffer, 0, buffer.length, position);
+          yield buffer.subarray(0, bytesRead);
+        }
+      }finally{
+        await handle.close();
+      }
+    }
+  };
+
+}
+
+function sign(hash, index){
+  return createHmac('sha256', `${config.localClientSecret}:${config.localClientUrl}:${config.localClientPassword}:${config.addonId}`)
+    .update(`${hash}:${index}`)
+    .digest('hex')
+    .substring(0, 32);
+}
+
+function hasRange({pieceSize, done}, start, end){
+  for(let piece = Math.floor(start / pieceSize); piece <= Math.floor(end / pieceSize); piece++){
+    if(!done[piece])return false;
+  }
+  return true;
+}
+
+// Value of fn once not null, polled every second until config.localClientStreamTimeout
+async function waitFor(fn){
+  const timeout = Date.now() + config.localClientStreamTimeout;
+  while(true){
+    const value = await fn();
+    if(value)return value;
+    if(Date.now() > timeout)throw new Error(ERROR.NOT_READY);
+    await wait(1000);
+  }
+}
+
+let client = null;
+
+function getClient(){
+  if(!client){
+    switch(config.localClientType){
+      case 'qbittorrent':
+        client = new QBittorrent();
+        break;
+      case 'transmission':
+        client = new Transmission();
+        break;
+      default:
+        throw new Error(`Local torrent client "${config.localClientType}" not supported`);
+    }
+  }
+  return client;
+}
+
+// Torrents are normalized as {hash, progress (0 to 1), speed, savePath, files: [{index, name, size, offset, progress}]}
+// and pieces as {pieceSize, done: [boolean]}
+function withOffsets(files){
+  let offset = 0;
+  return files.sort((a, b) => a.index - b.index).map(file => {
+    file.offset = offset;
+    offset += file.size;
+    return file;
+  });
+}
+
+class QBittorrent {
+
+  #cookie = '';
+
+  async add({magnet, buffer}){
+    const body = new FormData();
+    if(magnet)body.append('urls', magnet);
+    if(buffer)body.append('torrents', new Blob([buffer]), 'file.torrent');
+    body.append('sequentialDownload', 'true');
+    body.append('firstLastPiecePrio', 'true');
+    await this.#request('POST', '/torrents/add', {body});
+  }
+
+  async list(){
+    const torrents = await this.#request('GET', '/torrents/info');
+    return torrents.map(torrent => ({hash: torrent.hash, progress: torrent.progress, speed: torrent.dlspeed}));
+  }
+
+  async get(hash){
+    const [torrent] = await this.#request('GET', '/torrents/info', {query: {hashes: hash}});
+    if(!torrent)return null;
+    const files = await this.#request('GET', '/torrents/files', {query: {hash}});
+    return {
+      hash: torrent.hash,
+      progress: torrent.progress,
+      speed: torrent.dlspeed,
+      savePath: torrent.save_path,
+      files: withOffsets(files.map(file => ({index: file.index, name: file.name, size: file.size, progress: file.progress})))
+    };
+  }
+
+  async pieces(hash){
+    const properties = await this.#request('GET', '/torrents/properties', {query: {hash}});
+    const states = await this.#request('GET', '/torrents/pieceStates', {query: {hash}});
+    return {pieceSize: properties.piece_size, done: states.map(state => state == 2)};
+  }
+
+  async #login(){
+    const body = new URLSearchParams({username: config.localClientUsername, password: config.localClientPassword});
+    const res = await fetch(`${config.localClientUrl}/api/v2/auth/login`, {method: 'POST', body, headers: {referer: config.localClientUrl}});
+    const cookie = `${res.headers.get('set-cookie') || ''}`.match(/SID=[^;]+/);
+    if(!res.ok || !cookie){
+      throw new Error(`qBittorrent login failed: ${res.status} ${await res.text()}`);
+    }
+    this.#cookie = cookie[0];
+  }
+
+  async #request(method, path, opts, retry){
+
+    opts = opts || {};
+    if(!this.#cookie && (config.localClientUsername || config.localClientPassword))await this.#login();
+
+    const url = `${config.localClientUrl}/api/v2${path}?${new URLSearchParams(opts.query || {}).toString()}`;
+    const res = await fetch(url, {
+      method,
+      body: opts.body,
+      headers: {cookie: this.#cookie, referer: config.localClientUrl}
+    });
+
+    if(res.status == 403 && !retry && (config.localClientUsername || config.localClientPassword)){
+      this.#cookie = '';
+      return this.#request(method, path, opts, true);
+    }
+
+    if(!res.ok){
+      throw new Error(`Invalid qBittorrent api result ${path} : ${res.status} ${await res.text()}`);
+    }
+
+    const text = await res.text();
+    return text.startsWith('[') || text.startsWith('{') ? JSON.parse(text) : text;
+
+  }
+
+}
+
+class Transmission {
+
+  #sessionId = '';
+
+  async add({magnet, buffer}){
+    const args = magnet ? {filename: magnet} : {metainfo: Buffer.from(buffer).toString('base64')};
+    await this.#rpc('torrent-add', {...args, sequential_download: true});
+  }
+
+  async list(){
+    const {torrents} = await this.#rpc('torrent-get', {fields: ['hashString', 'percentDone', 'rateDownload']});
+    return torrents.map(torrent => ({hash: torrent.hashString, progress: torrent.percentDone, speed: torrent.rateDownload}));
+  }
+
+  async get(hash){
+    const [torrent] = await this.#getTorrents(hash, ['hashString', 'percentDone', 'rateDownload', 'downloadDir', 'files']);
+    if(!torrent)return null;
+    return {
+      hash: torrent.hashString,
+      progress: torrent.percentDone,
+      speed: torrent.rateDownload,
+      savePath: torrent.downloadDir,
+      files: withOffsets(torrent.files.map((file, index) => ({index, name: file.name, size: file.length, progress: file.length ? file.bytesCompleted / file.length : 1})))
+    };
+  }
+
+  // pieces is a base64 bitfield, the first piece is the high bit of the first byte
+  async pieces(hash){
+    const [torrent] = await this.#getTorrents(hash, ['pieceSize', 'pieceCount', 'pieces']);
+    const bytes = Buffer.from(torrent.pieces, 'base64');
+    const done = Array.from({length: torrent.pieceCount}, (v, index) => !!(bytes[index >> 3] & (0x80 >> (index & 7))));
+    return {pieceSize: torrent.pieceSize, done};
+  }
+
+  async #getTorrents(hash, fields){
+    return (await this.#rpc('torrent-get', {ids: [hash], fields})).torrents;
+  }
+
+  // The session id is given by a 409 response
+  async #rpc(method, args, retry){
+
+    const headers = {'content-type': 'application/json', 'x-transmission-session-id': this.#sessionId};
+    if(config.localClientUsername || config.localClientPassword){
+      headers.authorization = `Basic ${Buffer.from(`${config.localClientUsername}:${config.localClientPassword}`).toString('base64')}`;
+    }
+
+    const res = await fetch(config.localClientUrl, {method: 'POST', headers, body: JSON.stringify({method, arguments: args})});
+
+    if(res.status == 409 && !retry){
+      this.#sessionId = res.headers.get('x-transmission-session-id') || '';
+      return this.#rpc(method, args, true);
+    }
+
+    const data = res.ok ? await res.json() : {result: `${res.status} ${await res.text()}`};
+
+    if(data.result != 'success'){
+      throw new Error(`Invalid Transmission rpc result ${method} : ${data.result}`);
+    }
+
+    return data.arguments;
+
+  }
+
+}
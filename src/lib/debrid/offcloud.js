@@ -0,0 +1,164 @@
+import {createHash} from 'crypto';
+import {ERROR} from './const.js';
+import {isVideo} from '../util.js';
+
+// Cloud request ids of the uploaded torrent files by user and info hash, their history
+// entries have the upload url as originalLink instead of a magnet
+const uploadedRequests = new Map();
+
+export default class Offcloud {
+
+  static id = 'offcloud';
+  static name = 'Offcloud';
+  static shortName = 'OC';
+  static cacheCheckAvailable = true;
+  static configFields = [
+    {
+      type: 'text',
+      name: 'debridApiKey',
+      label: `Offcloud API Key`,
+      required: true,
+      href: {value: 'https://offcloud.com/#/account', label:'Get API Key Here'}
+    }
+  ];
+
+  #apiKey;
+
+  constructor(userConfig) {
+    Object.assign(this, this.constructor);
+    this.#apiKey = userConfig.debridApiKey;
+  }
+
+  async getTorrentsCached(torrents){
+    const hashes = torrents.map(torrent => torrent.infos.infoHash).filter(Boolean);
+    if(!hashes.length)return [];
+    const res = await this.#request('POST', '/cache', {json: {hashes}});
+    const cachedHashes = (res.cachedItems || []).map(hash => hash.toLowerCase());
+    return torrents.filter(torrent => cachedHashes.includes(torrent.infos.infoHash));
+  }
+
+  async getProgressTorrents(torrents){
+    const history = await this.#request('GET', '/cloud/history');
+    const requests = (history || []).filter(request => request.status != 'error');
+    const downloading = requests.filter(request => request.status != 'downloaded').map(request => request.requestId);
+    const statuses = downloading.length ? (await this.#request('POST', '/cloud/status', {json: {requestIds: downloading}})).requests || [] : [];
+    return requests.reduce((progress, request) => {
+      const hash = `${request.originalLink || ''}`.match(/btih:([a-z0-9]+)/i)?.[1]?.toLowerCase();
+      if(hash){
+        const status = statuses.find(status => status.requestId == request.requestId) || {};
+        progress[hash] = {
+          percent: request.status == 'downloaded' ? 100 : (status.fileSize ? Math.round(status.amount / status.fileSize * 100) : 0),
+          speed: status.speed || 0
+        }
+      }
+      return progress;
+    }, {});
+  }
+
+  async getFilesFromHash(infoHash){
+    return this.getFilesFromMagnet(`magnet:?xt=urn:btih:${infoHash}`, infoHash);
+  }
+
+  async getFilesFromMagnet(url, infoHash){
+    const existingRequest = await this.#searchRequestByHash(infoHash);
+    if(existingRequest)return this.#getFilesFromRequest(existingRequest);
+    const request = await this.#request('POST', '/cloud', {json: {url}});
+    return this.#getFilesFromRequest(request);
+  }
+
+  // The torrent file is uploaded first, its Offcloud url is then added like a magnet
+  async getFilesFromBuffer(buffer, infoHash){
+    const existingRequest = await this.#searchRequestByHash(infoHash);
+    if(existingRequest)return this.#getFilesFromRequest(existingRequest);
+    const body = new FormData();
+    body.append('file', new Blob([buffer]), 'file.torrent');
+    const upload = await this.#request('POST', '/torrent/upload', {body});
+    const request = await this.#request('POST', '/cloud', {json: {url: upload.url}});
+    if(infoHash && request.requestId){
+      uploadedRequests.set(`${await this.getUserHash()}:${infoHash.toLowerCase()}`, request.requestId);
+    }
+    return this.#getFilesFromRequest(request);
+  }
+
+  async getDownload(file){
+    return file.url;
+  }
+
+  async getUserHash(){
+    return createHash('md5').update(this.#apiKey).digest('hex');
+  }
+
+  // Request already added to the cloud (from a magnet or an uploaded torrent file)
+  async #searchRequestByHash(infoHash){
+    if(!infoHash)return null;
+    infoHash = infoHash.toLowerCase();
+    const uploadedRequestId = uploadedRequests.get(`${await this.getUserHash()}:${infoHash}`);
+    const history = await this.#request('GET', '/cloud/history');
+    return (history || []).find(request => {
+      if(request.status == 'error')return false;
+      const hash = `${request.originalLink || ''}`.match(/btih:([a-z0-9]+)/i)?.[1]?.toLowerCase();
+      return hash == infoHash || (uploadedRequestId && request.requestId == uploadedRequestId);
+    }) || null;
+  }
+
+  // File sizes are unknown (taken from the torrent infos), only the video files are listed
+  // so that no .nfo or image is picked as the biggest file
+  async #getFilesFromRequest(request){
+
+    if(request.status != 'downloaded'){
+      throw new Error(ERROR.NOT_READY);
+    }
+
+    // Explore lists the files of a folder, a single file torrent has no folder
+    const urls = await this.#request('GET', `/cloud/explore/${request.requestId}`).catch(err => [request.url]);
+
+    const files = urls.filter(Boolean).map((url, index) => {
+      const path = decodeURIComponent(url.split(`/${request.requestId}/`).pop());
+      return {
+        name: path.split('/').pop(),
+        path,
+        size: 0,
+        id: `${request.requestId}:${index}`,
+        url,
+        ready: true
+      };
+    });
+    const videos = files.filter(file => isVideo(file.name.toLowerCase()));
+
+    return videos.length ? videos : files;
+
+  }
+
+  async #request(method, path, opts){
+
+    opts = opts || {};
+    opts = Object.assign(opts, {
+      method,
+      headers: Object.assign({
+        'user-agent': 'jackettio',
+        'accept': 'application/json'
+      }, opts.json ? {'content-type': 'application/json'} : {}, opts.headers || {}),
+      query: Object.assign({key: this.#apiKey}, opts.query || {})
+    });
+    if(opts.json)opts.body = JSON.stringify(opts.json);
+
+    const url = `https://offcloud.com/api${path}?${new URLSearchParams(opts.query).toString()}`;
+    const res = await fetch(url, opts);
+    const data = await res.json();
+
+    if(!res.ok || data.error || data.not_available){
+      const error = `${data.error || data.not_available || ''}`;
+      if(res.status == 401 || /api key|login|unauthori[sz]ed/i.test(error)){
+        throw new Error(ERROR.EXPIRED_API_KEY);
+      }else if(/premium/i.test(error)){
+        throw new Error(ERROR.NOT_PREMIUM);
+      }else{
+        throw new Error(`Invalid OC api result ${path} : ${JSON.stringify(data)}`);
+      }
+    }
+
+    return data;
+
+  }
+
+}
@@ -0,0 +1,45 @@
+import {ERROR} from './const.js';
+
+// No debrid: streams are returned as infoHash / fileIdx and downloaded by Stremio itself
+export default class P2P {
+
+  static id = 'p2p';
+  static name = 'P2P (no debrid, streamed by Stremio)';
+  static shortName = 'P2P';
+  static cacheCheckAvailable = false;
+  static p2p = true;
+  static configFields = [];
+
+  constructor(userConfig) {
+    Object.assign(this, this.constructor);
+  }
+
+  async getTorrentsCached(torrents){
+    return [];
+  }
+
+  async getProgressTorrents(torrents){
+    return {};
+  }
+
+  async getFilesFromHash(infoHash){
+    throw new Error(ERROR.ACCESS_DENIED);
+  }
+
+  async getFilesFromMagnet(url, infoHash){
+    throw new Error(ERROR.ACCESS_DENIED);
+  }
+
+  async getFilesFromBuffer(buffer, infoHash){
+    throw new Error(ERROR.ACCESS_DENIED);
+  }
+
+  async getDownload(file){
+    throw new Error(ERROR.ACCESS_DENIED);
+  }
+
+  async getUserHash(){
+    return 'p2p';
+  }
+
+}
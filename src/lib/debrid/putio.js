@@ -0,0 +1,158 @@
+import {createHash} from 'crypto';
+import {ERROR} from './const.js';
+
+export default class PutIo {
+
+  static id = 'putio';
+  static name = 'put.io';
+  static shortName = 'PIO';
+  static cacheCheckAvailable = false;
+  static configFields = [
+    {
+      type: 'text',
+      name: 'debridApiKey',
+      label: `put.io OAuth Token`,
+      required: true,
+      href: {value: 'https://app.put.io/oauth', label:'Create an OAuth app and get its token here'}
+    }
+  ];
+
+  #token;
+
+  constructor(userConfig) {
+    Object.assign(this, this.constructor);
+    this.#token = userConfig.debridApiKey;
+  }
+
+  async getTorrentsCached(torrents){
+    return [];
+  }
+
+  async getProgressTorrents(torrents){
+    const res = await this.#request('GET', '/transfers/list');
+    return res.transfers.reduce((progress, transfer) => {
+      if(transfer.hash){
+        progress[transfer.hash.toLowerCase()] = {
+          percent: this.#isTransferReady(transfer) ? 100 : (transfer.percent_done || 0),
+          speed: transfer.down_speed || 0
+        }
+      }
+      return progress;
+    }, {});
+  }
+
+  async getFilesFromHash(infoHash){
+    return this.getFilesFromMagnet(`magnet:?xt=urn:btih:${infoHash}`, infoHash);
+  }
+
+  async getFilesFromMagnet(url, infoHash){
+    const transfer = await this.#searchTransferByHash(infoHash);
+    if(transfer)return this.#getFilesFromTransfer(transfer);
+    const body = new FormData();
+    body.append('url', url);
+    const res = await this.#request('POST', '/transfers/add', {body});
+    return this.#getFilesFromTransfer(res.transfer);
+  }
+
+  async getFilesFromBuffer(buffer, infoHash){
+    const transfer = await this.#searchTransferByHash(infoHash);
+    if(transfer)return this.#getFilesFromTransfer(transfer);
+    const body = new FormData();
+    body.append('file', new Blob([buffer]), 'file.torrent');
+    const res = await this.#request('POST', '/files/upload', {body, upload: true});
+    return this.#getFilesFromTransfer(res.transfer);
+  }
+
+  async getDownload(file){
+    const res = await this.#request('GET', `/files/${file.id}/url`);
+    return res.url;
+  }
+
+  async getUserHash(){
+    return createHash('md5').update(this.#token).digest('hex');
+  }
+
+  #isTransferReady(transfer){
+    return ['COMPLETED', 'SEEDING'].includes(transfer.status) && !!transfer.file_id;
+  }
+
+  async #searchTransferByHash(infoHash){
+    if(!infoHash)return null;
+    const res = await this.#request('GET', '/transfers/list');
+    return res.transfers.find(transfer => `${transfer.hash}`.toLowerCase() == infoHash.toLowerCase()) || null;
+  }
+
+  async #getFilesFromTransfer(transfer){
+
+    if(!transfer || !this.#isTransferReady(transfer)){
+      throw new Error(ERROR.NOT_READY);
+    }
+
+    const {file} = await this.#request('GET', `/files/${transfer.file_id}`);
+    return file.file_type == 'FOLDER' ? this.#listFolder(file.id, '') : [this.#formatFile(file, '')];
+
+  }
+
+  // Files of a folder and its sub folders
+  async #listFolder(folderId, path){
+    const res = await this.#request('GET', '/files/list', {query: {parent_id: folderId, per_page: 1000}});
+    const files = [];
+    for(const file of res.files){
+      if(file.file_type == 'FOLDER'){
+        files.push(...await this.#listFolder(file.id, `${path}${file.name}/`));
+      }else{
+        files.push(this.#formatFile(file, path));
+      }
+    }
+    return files;
+  }
+
+  #formatFile(file, path){
+    return {
+      name: file.name,
+      path: `${path}${file.name}`,
+      size: file.size,
+      id: file.id,
+      url: '',
+      ready: true
+    };
+  }
+
+  async #request(method, path, opts){
+
+    opts = opts || {};
+    opts = Object.assign(opts, {
+      method,
+      headers: Object.assign({
+        'user-agent': 'jackettio',
+        'accept': 'application/json',
+        'authorization': `Bearer ${this.#token}`
+      }, opts.headers || {}),
+      query: opts.query || {}
+    });
+
+    const url = `https://${opts.upload ? 'upload' : 'api'}.put.io/v2${path}?${new URLSearchParams(opts.query).toString()}`;
+    const res = await fetch(url, opts);
+    const data = await res.json();
+
+    if(data.status != 'OK'){
+      switch(data.error_type || ''){
+        case 'invalid_grant':
+        case 'invalid_token':
+        case 'Unauthorized':
+          throw new Error(ERROR.EXPIRED_API_KEY);
+        case 'PAYMENT_REQUIRED':
+        case 'ACCOUNT_NOT_ACTIVE':
+          throw new Error(ERROR.NOT_PREMIUM);
+        default:
+          if(res.status == 401)throw new Error(ERROR.EXPIRED_API_KEY);
+          if(res.status == 402)throw new Error(ERROR.NOT_PREMIUM);
+          throw new Error(`Invalid PIO api result ${path} : ${JSON.stringify(data)}`);
+      }
+    }
+
+    return data;
+
+  }
+
+}
@@ -135,6 +135,7 @@ export default class RealDebrid {
     return torrent.files.map((file, index) => {
       return {
         name: file.path.split('/').pop(),
+        path: file.path,
         size: file.bytes,
         id: `${torrent.id}:${file.id}`,
         url: '',
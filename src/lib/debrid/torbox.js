@@ -0,0 +1,145 @@
+import {createHash} from 'crypto';
+import {ERROR} from './const.js';
+
+export default class TorBox {
+
+  static id = 'torbox';
+  static name = 'TorBox';
+  static shortName = 'TB';
+  static cacheCheckAvailable = true;
+  static configFields = [
+    {
+      type: 'text',
+      name: 'debridApiKey',
+      label: `TorBox API Key`,
+      required: true,
+      href: {value: 'https://torbox.app/settings', label:'Get API Key Here'}
+    }
+  ];
+
+  #apiKey;
+  #ip;
+
+  constructor(userConfig) {
+    Object.assign(this, this.constructor);
+    this.#apiKey = userConfig.debridApiKey;
+    this.#ip = userConfig.ip || '';
+  }
+
+  // Cached files are checked, a pack is only cached for an episode when its file is in the cache
+  async getTorrentsCached(torrents, isValidCachedFiles){
+    const hashList = torrents.map(torrent => torrent.infos.infoHash).filter(Boolean);
+    if(!hashList.length)return [];
+    const query = {hash: hashList.join(','), format: 'list', list_files: 'true'};
+    const res = await this.#request('GET', '/torrents/checkcached', {query});
+    const caches = (res.data || []).reduce((caches, cache) => {
+      caches[cache.hash.toLowerCase()] = (cache.files || []).map(file => ({name: file.name.split('/').pop(), path: file.name, size: file.size}));
+      return caches;
+    }, {});
+    return torrents.filter(torrent => {
+      const files = caches[torrent.infos.infoHash];
+      return files && (!isValidCachedFiles || !files.length || isValidCachedFiles(files));
+    });
+  }
+
+  async getProgressTorrents(torrents){
+    const res = await this.#request('GET', '/torrents/mylist', {query: {bypass_cache: 'true'}});
+    return (res.data || []).reduce((progress, torrent) => {
+      progress[torrent.hash] = {
+        percent: Math.round((torrent.progress || 0) * 100),
+        speed: torrent.download_speed || 0
+      }
+      return progress;
+    }, {});
+  }
+
+  async getFilesFromHash(infoHash){
+    return this.getFilesFromMagnet(`magnet:?xt=urn:btih:${infoHash}`, infoHash);
+  }
+
+  async getFilesFromMagnet(url, infoHash){
+    const body = new FormData();
+    body.append('magnet', url);
+    const res = await this.#request('POST', `/torrents/createtorrent`, {body});
+    return this.#getFilesFromTorrent(res.data.torrent_id);
+  }
+
+  async getFilesFromBuffer(buffer, infoHash){
+    const body = new FormData();
+    body.append('file', new Blob([buffer]), 'file.torrent');
+    const res = await this.#request('POST', `/torrents/createtorrent`, {body});
+    return this.#getFilesFromTorrent(res.data.torrent_id);
+  }
+
+  async getDownload(file){
+    const [torrentId, fileId] = file.id.split(':');
+    const query = {token: this.#apiKey, torrent_id: torrentId, file_id: fileId, ...(this.#ip ? {user_ip: this.#ip} : {})};
+    const res = await this.#request('GET', '/torrents/requestdl', {query});
+    return res.data;
+  }
+
+  async getUserHash(){
+    return createHash('md5').update(this.#apiKey).digest('hex');
+  }
+
+  async #getFilesFromTorrent(id){
+
+    const query = {id, bypass_cache: 'true'};
+    const torrent = (await this.#request('GET', '/torrents/mylist', {query})).data;
+
+    if(!torrent || !torrent.download_finished || !torrent.download_present){
+      throw new Error(ERROR.NOT_READY);
+    }
+
+    return torrent.files.map(file => {
+      return {
+        name: file.short_name || file.name.split('/').pop(),
+        path: file.name,
+        size: file.size,
+        id: `${torrent.id}:${file.id}`,
+        url: '',
+        ready: true
+      };
+    });
+
+  }
+
+  async #request(method, path, opts){
+
+    opts = opts || {};
+    opts = Object.assign(opts, {
+      method,
+      headers: Object.assign({
+        'user-agent': 'jackettio',
+        'accept': 'application/json',
+        'authorization': `Bearer ${this.#apiKey}`
+      }, opts.headers || {}),
+      query: opts.query || {}
+    });
+
+    const url = `https://api.torbox.app/v1/api${path}?${new URLSearchParams(opts.query).toString()}`;
+    const res = await fetch(url, opts);
+    const data = await res.json();
+
+    if(!data.success){
+      switch(data.error || ''){
+        case 'BAD_TOKEN':
+        case 'AUTH_ERROR':
+        case 'NO_AUTH':
+          throw new Error(ERROR.EXPIRED_API_KEY);
+        case 'PLAN_RESTRICTED_FEATURE':
+        case 'MONTHLY_LIMIT':
+          throw new Error(ERROR.NOT_PREMIUM);
+        case 'DOWNLOAD_NOT_READY':
+        case 'ACTIVE_LIMIT':
+          throw new Error(ERROR.NOT_READY);
+        default:
+          throw new Error(`Invalid TB api result: ${JSON.stringify(data)}`);
+      }
+    }
+
+    return data;
+
+  }
+
+}
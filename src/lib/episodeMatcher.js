@@ -0,0 +1,113 @@
+import {isVideo} from './util.js';
+
+// S01E05, S01.E05, S01E01-E02, S01E01E02, S01E01-02 (but not "S01E01-1080p")
+const SEASON_EPISODES_PATTERN = /(?<![a-z0-9])s(\d{1,2})[ ._-]?e(\d{1,4})((?:[ ._]?-?[ ._]?e\d{1,4}|-\d{1,4}(?![0-9p]))*)(?![0-9])/gi;
+// 1x05, 1x05-06, 1x05x06 (but not "1920x1080")
+const CROSS_EPISODES_PATTERN = /(?<![a-z0-9])(\d{1,2})x(\d{2,3})((?:[-x]\d{2,3})*)(?![a-z0-9])/gi;
+// Episode 5, Ep05, Ep.05, E05
+const EPISODE_PATTERN = /(?<![a-z0-9])(?:(?:episode|episodio|[ée]pisode|ep)[ ._-]?|e)(\d{1,4})(?![0-9])/gi;
+// "05.mkv", "05 - Title.mkv" in a season folder
+const LEADING_EPISODE_PATTERN = /^(\d{1,3})(?:[ ._-]|$)/;
+const SEASON_PATTERN = /(?<![a-z0-9])(?:(?:seasons?|saisons?|temporadas?|stagione|series)[ ._-]?|s)(\d{1,2})(?![0-9])/i;
+const SPECIALS_PATTERN = /(?<![a-z0-9])specials?(?![a-z0-9])/i;
+const DATE_PATTERN = /(?<![0-9])((19|20)\d{2}[ ._-]\d{2}[ ._-]\d{2}|\d{2}[ ._-]\d{2}[ ._-](19|20)\d{2})(?![0-9])/;
+const SAMPLE_PATTERN = /(?<![a-z0-9])sample(?![a-z0-9])/i;
+
+// File of an episode in a torrent (or debrid) files list, null when no file matches reliably.
+// file.path (with folders) is used when known, file.name otherwise.
+// By order of confidence:
+// - air date of daily shows (isDaily): 2026.10.14, 2026-10-14, 14.10.2026
+// - season and episode in the file name: S01E05, 1x05, multi-episode files S01E01-E02
+// - season from the folders ("Season 1/", "S01/", "Specials/") and episode in the file name: "Episode 5", "Ep05", "05 - Title"
+// - anime absolute episode: "Show - 27", "[Group] Show 27 [1080p]"
+// - episode alone when the pack has no season in any path
+// - the only video file of the torrent when its name does not refer to another episode or air date
+// Without episode (catalog torrents "jkt:0:0"), the biggest video file.
+export function findEpisodeFile(files, {season, episode, absoluteEpisode, airDate, isDaily}){
+
+  if(!episode)return findLargestVideo(files);
+
+  const parsed = videoFiles(files)
+    .map(file => ({file, ...parseFile(file.path || file.name)}))
+    .sort((a, b) => b.file.size - a.file.size);
+
+  const [year, month, day] = `${isDaily && airDate || ''}`.split('-');
+  if(day){
+    const date = new RegExp(`(?<![0-9])(${year}[ ._-]${month}[ ._-]${day}|${day}[ ._-]${month}[ ._-]${year})(?![0-9])`);
+    const match = parsed.find(item => date.test(item.basename));
+    if(match)return match.file;
+  }
+
+  const explicit = parsed.find(item => item.explicit.find(e => e.season == season && e.episodes.includes(episode)));
+  if(explicit)return explicit.file;
+
+  const implicit = parsed.filter(item => !item.explicit.length);
+
+  const folder = implicit.find(item => item.season === season && item.episodes.includes(episode));
+  if(folder)return folder.file;
+
+  if(absoluteEpisode){
+    // Not a decimal number: "AAC 5.1" is not the episode 5
+    const absolute = new RegExp(`(^|[\\s_.\\[(-])(e|ep|episode)?\\s?0*${absoluteEpisode}(v\\d)?(?![.,]\\d)([\\s_.\\])-]|$)`, 'i');
+    const match = implicit.find(item => (item.season === null || item.season === season) && absolute.test(item.basename));
+    if(match)return match.file;
+  }
+
+  if(!parsed.find(item => item.explicit.length || item.season !== null)){
+    const match = parsed.find(item => item.episodes.includes(episode));
+    if(match)return match.file;
+  }
+
+  if(parsed.length == 1 && !parsed[0].explicit.length && !parsed[0].episodes.length && !DATE_PATTERN.test(parsed[0].basename)){
+    return parsed[0].file;
+  }
+
+  return null;
+
+}
+
+// Biggest video file (samples excluded), null when the list is empty
+export function findLargestVideo(files){
+  return [...videoFiles(files)].sort((a, b) => b.size - a.size)[0] || null;
+}
+
+// Video files without samples, all the files when there is none
+function videoFiles(files){
+  const videos = files.filter(file => isVideo(file.name) && !SAMPLE_PATTERN.test(file.path || file.name));
+  return videos.length ? videos : files;
+}
+
+// {basename, explicit: [{season, episodes}], season, episodes}
+function parseFile(path){
+  const folders = path.split(/[\\/]/);
+  const basename = folders.pop().replace(/\.[a-z0-9]{2,4}$/i, '');
+  const explicit = parseSeasonEpisodes(basename);
+  if(!explicit.length && folders.length)explicit.push(...parseSeasonEpisodes(folders[folders.length - 1]));
+  const episodes = [...basename.matchAll(EPISODE_PATTERN)].map(match => parseInt(match[1]));
+  const leading = basename.match(LEADING_EPISODE_PATTERN);
+  if(!episodes.length && leading)episodes.push(parseInt(leading[1]));
+  return {
+    basename,
+    explicit,
+    season: parseSeason(basename) ?? [...folders].reverse().map(parseSeason).find(season => season !== null) ?? null,
+    episodes
+  };
+}
+
+function parseSeasonEpisodes(name){
+  const range = (numbers) => {
+    const [from, to] = [Math.min(...numbers), Math.max(...numbers)];
+    return Array.from({length: Math.min(to - from, 50) + 1}, (v, index) => from + index);
+  };
+  const numbers = (match) => [match[2], ...(match[3].match(/\d+/g) || [])].map(n => parseInt(n));
+  return [
+    ...[...name.matchAll(SEASON_EPISODES_PATTERN)],
+    ...[...name.matchAll(CROSS_EPISODES_PATTERN)]
+  ].map(match => ({season: parseInt(match[1]), episodes: range(numbers(match))}));
+}
+
+function parseSeason(name){
+  if(SPECIALS_PATTERN.test(name))return 0;
+  const match = name.match(SEASON_PATTERN);
+  return match ? parseInt(match[1]) : null;
+}
@@ -0,0 +1,67 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {findEpisodeFile} from './episodeMatcher.js';
+
+// Files are listed from the biggest to the smallest
+const files = (...paths) => paths.map((path, index) => ({name: path.split('/').pop(), path, size: 1000 - index}));
+const find = (paths, episodeInfos) => findEpisodeFile(files(...paths), episodeInfos)?.path ?? null;
+
+test('pack without the episode has no file', () => {
+  assert.equal(find(['Show.S01E01.mkv', 'Show.S01E03.mkv'], {season: 1, episode: 2}), null);
+  assert.equal(find(['Show.S02E01.mkv', 'Show.S02E02.mkv'], {season: 1, episode: 2}), null);
+  assert.equal(find(['Show/Season 2/01.mkv', 'Show/Season 2/03.mkv'], {season: 2, episode: 2}), null);
+  assert.equal(find(['Show.S01E05.mkv'], {season: 1, episode: 1}), null);
+});
+
+test('multi-episode files and ranges', () => {
+  assert.equal(find(['Show.S01E01-E02.mkv', 'Show.S01E03.mkv'], {season: 1, episode: 2}), 'Show.S01E01-E02.mkv');
+  assert.equal(find(['Show.S01E01E02E03.mkv'], {season: 1, episode: 3}), 'Show.S01E01E02E03.mkv');
+  assert.equal(find(['Show.1x04-06.mkv', 'Show.1x07.mkv'], {season: 1, episode: 5}), 'Show.1x04-06.mkv');
+});
+
+test('resolutions are not episode numbers', () => {
+  assert.equal(find(['Show.S01E01-1080p.mkv', 'Show.S01E02-1080p.mkv'], {season: 1, episode: 2}), 'Show.S01E02-1080p.mkv');
+  assert.equal(find(['Show.S01.1920x1080.E01.mkv', 'Show.S01.1920x1080.E02.mkv'], {season: 1, episode: 2}), 'Show.S01.1920x1080.E02.mkv');
+});
+
+test('season from the folders, episode from the file name', () => {
+  assert.equal(find(['Show/Season 2/04 - Title.mkv', 'Show/Season 2/05 - Title.mkv'], {season: 2, episode: 5}), 'Show/Season 2/05 - Title.mkv');
+  assert.equal(find(['S01/Episode 3.mkv', 'S02/Episode 4.mkv', 'S01/Episode 4.mkv'], {season: 1, episode: 4}), 'S01/Episode 4.mkv');
+  assert.equal(find(['Show/Specials/01.mkv', 'Show/Season 1/01.mkv'], {season: 0, episode: 1}), 'Show/Specials/01.mkv');
+  assert.equal(find(['Show Ep01.mkv', 'Show Ep02.mkv'], {season: 1, episode: 2}), 'Show Ep02.mkv');
+});
+
+test('anime absolute episode', () => {
+  assert.equal(find(['[Grp] Show - 26 [1080p].mkv', '[Grp] Show - 27 [1080p].mkv'], {season: 2, episode: 1, absoluteEpisode: 27}), '[Grp] Show - 27 [1080p].mkv');
+  assert.equal(find(['Show - 004v2.mkv', 'Show - 005.mkv'], {season: 1, episode: 4, absoluteEpisode: 4}), 'Show - 004v2.mkv');
+});
+
+test('samples and non video files are ignored, the biggest copy is chosen', () => {
+  assert.equal(find(['Show.S01E02.sample.mkv', 'Show.S01E02.mkv', 'Show.S01E02.nfo'], {season: 1, episode: 2}), 'Show.S01E02.mkv');
+  assert.equal(find(['Show.S01E02.1080p.mkv', 'Show.S01E02.720p.mkv'], {season: 1, episode: 2}), 'Show.S01E02.1080p.mkv');
+});
+
+test('single video file without episode is the episode', () => {
+  assert.equal(find(['Show.Name.mkv', 'Show.Name.nfo'], {season: 1, episode: 1}), 'Show.Name.mkv');
+  assert.equal(find(['Show.E05.mkv'], {season: 1, episode: 1}), null);
+});
+
+test('daily shows by air date', () => {
+  const episodeInfos = {season: 2026, episode: 100, airDate: '2026-10-14', isDaily: true};
+  assert.equal(find(['Show.2026.10.13.mkv', 'Show.2026.10.14.mkv'], episodeInfos), 'Show.2026.10.14.mkv');
+  assert.equal(find(['Show 13.10.2026.mkv', 'Show 14-10-2026.mkv'], episodeInfos), 'Show 14-10-2026.mkv');
+  assert.equal(find(['Show.2026.10.13.mkv'], episodeInfos), null);
+});
+
+test('air date ignored when the show is not a daily show', () => {
+  assert.equal(find(['Show.2026.10.14.mkv', 'Show.S01E02.mkv'], {season: 1, episode: 2, airDate: '2026-10-14'}), 'Show.S01E02.mkv');
+});
+
+test('audio channels are not absolute episodes', () => {
+  assert.equal(find(['[Grp] Show 01 AAC 5.1.mkv', '[Grp] Show 02 AAC 5.1.mkv'], {season: 1, episode: 5, absoluteEpisode: 5}), null);
+  assert.equal(find(['[Grp] Show 05 AAC 2.0.mkv', '[Grp] Show 06 AAC 2.0.mkv'], {season: 1, episode: 5, absoluteEpisode: 5}), '[Grp] Show 05 AAC 2.0.mkv');
+});
+
+test('unknown episode streams the biggest video', () => {
+  assert.equal(find(['Pack/Show.nfo', 'Pack/Show.S01E02.mkv', 'Pack/Show.S01E01.mkv'], {season: 0, episode: 0}), 'Pack/Show.S01E02.mkv');
+});
@@ -0,0 +1,77 @@
+import {parseWords} from './util.js';
+
+const MAX_PATTERN_LENGTH = 200;
+
+// Ordered rules on the torrent name from the user config (filterRules):
+// {action: 'include' | 'require' | 'exclude', match: 'keyword' | 'regex', value, type, quality}
+// type ('movie' / 'series') and quality (720, 1080 ...) restrict the torrents the rule applies to.
+// The first matching include keeps the torrent, a matching exclude or a not matching require removes it.
+export function createRulesFilter(rules, type){
+
+  rules = (rules || [])
+    .filter(rule => !rule.type || rule.type == type)
+    .map(rule => ({...rule, test: createTest(rule)}))
+    .filter(rule => rule.test);
+
+  return (torrent) => {
+    const words = ` ${parseWords(torrent.name.toLowerCase()).join(' ')} `;
+    for(const rule of rules){
+      if(rule.quality !== undefined && rule.quality !== null && rule.quality !== '' && parseInt(rule.quality) != torrent.quality)continue;
+      const match = rule.test(torrent.name, words);
+      if(rule.action == 'include' && match)return true;
+      if(rule.action == 'exclude' && match)return false;
+      if(rule.action == 'require' && !match)return false;
+    }
+    return true;
+  };
+
+}
+
+// Keywords are matched as whole words, case insensitive: "web dl" matches "Movie.WEB-DL.1080p"
+function createTest({match, value}){
+  value = `${value || ''}`.trim();
+  if(!value || value.length > MAX_PATTERN_LENGTH)return null;
+  if(match == 'regex' && !isSafeRegex(value)){
+    console.log(`Unsafe filter rule regex "${value}", matched as text`);
+    const text = value.toLowerCase();
+    return (name) => name.toLowerCase().includes(text);
+  }
+  if(match == 'regex'){
+    try {
+      const regex = new RegExp(value, 'i');
+      return (name) => regex.test(name);
+    }catch(err){
+      console.log(`Invalid filter rule regex "${value}": ${err.message}`);
+      return null;
+    }
+  }
+  const keyword = ` ${parseWords(value.toLowerCase()).join(' ')} `;
+  return keyword.trim() ? (name, words) => words.includes(keyword) : null;
+}
+
+// Nested quantifiers ("(a+)+$", "(.*)*x", "(a|a)*") and backreferences can backtrack
+// exponentially and block the event loop, these patterns are rejected
+function isSafeRegex(value){
+  if(/\\([1-9]|k<)/.test(value))return false;
+  // One entry per open group : true when it contains a quantifier or an alternation
+  const groups = [];
+  for(let i = 0; i < value.length; i++){
+    const char = value[i];
+    if(char == '\\'){
+      i++;
+    }else if(char == '['){
+      while(++i < value.length && value[i] != ']'){
+        if(value[i] == '\\')i++;
+      }
+    }else if(char == '('){
+      groups.push(false);
+    }else if(char == ')'){
+      const repeated = groups.pop();
+      if(repeated && /[*+{]/.test(value[i + 1] || ''))return false;
+      if(repeated && groups.length)groups[groups.length - 1] = true;
+    }else if(/[*+?{|]/.test(char) && value[i - 1] != '(' && groups.length){
+      groups[groups.length - 1] = true;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,64 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createRulesFilter} from './filterRules.js';
+
+const accepts = (rules, name, {type = 'movie', quality = 1080} = {}) => createRulesFilter(rules, type)({name, quality});
+
+test('keywords match whole words whatever the separators', () => {
+  const rules = [{action: 'exclude', match: 'keyword', value: 'web dl'}];
+  assert.equal(accepts(rules, 'Movie.2020.WEB-DL.1080p'), false);
+  assert.equal(accepts(rules, 'Movie 2020 [web_dl] 1080p'), false);
+  assert.equal(accepts(rules, 'Movie.2020.WEB.1080p'), true);
+  assert.equal(accepts([{action: 'exclude', match: 'keyword', value: 'web'}], 'Movie.2020.WEBRip.1080p'), true);
+});
+
+test('rules apply in order, the first include wins over a later exclude', () => {
+  const rules = [
+    {action: 'include', match: 'keyword', value: 'remux'},
+    {action: 'exclude', match: 'keyword', value: 'bluray'}
+  ];
+  assert.equal(accepts(rules, 'Movie.2020.BluRay.REMUX'), true);
+  assert.equal(accepts(rules, 'Movie.2020.BluRay'), false);
+  assert.equal(accepts(rules.slice().reverse(), 'Movie.2020.BluRay.REMUX'), false);
+});
+
+test('require removes torrents not matching', () => {
+  const rules = [{action: 'require', match: 'regex', value: '\\bmulti\\b'}];
+  assert.equal(accepts(rules, 'Movie.2020.MULTi.1080p'), true);
+  assert.equal(accepts(rules, 'Movie.2020.MULTIPLEX.1080p'), false);
+});
+
+test('invalid, empty or too long patterns are ignored', () => {
+  assert.equal(accepts([{action: 'require', match: 'regex', value: '(x264'}], 'Movie.2020.1080p'), true);
+  assert.equal(accepts([{action: 'require', match: 'keyword', value: '  '}], 'Movie.2020.1080p'), true);
+  assert.equal(accepts([{action: 'require', match: 'keyword', value: '...'}], 'Movie.2020.1080p'), true);
+  assert.equal(accepts([{action: 'exclude', match: 'regex', value: 'a'.repeat(201)}], 'a'.repeat(300)), true);
+  assert.equal(createRulesFilter(null, 'movie')({name: 'Movie.2020.1080p', quality: 1080}), true);
+});
+
+test('type and quality restrict the torrents a rule applies to', () => {
+  const seriesRule = [{action: 'exclude', match: 'keyword', value: 'hdtv', type: 'series'}];
+  assert.equal(accepts(seriesRule, 'Movie.2020.HDTV'), true);
+  assert.equal(accepts(seriesRule, 'Show.S01E01.HDTV', {type: 'series'}), false);
+
+  const qualityRule = [{action: 'exclude', match: 'keyword', value: 'hdtv', quality: '720'}];
+  assert.equal(accepts(qualityRule, 'Show.S01E01.HDTV.1080p', {quality: 1080}), true);
+  assert.equal(accepts(qualityRule, 'Show.S01E01.HDTV.720p', {quality: 720}), false);
+  assert.equal(accepts([{action: 'exclude', match: 'keyword', value: 'hdtv', quality: ''}], 'Show.S01E01.HDTV.720p', {quality: 720}), false);
+});
+
+test('regex with nested quantifiers or backreferences are matched as text', () => {
+  const long = 'Movie.2020.' + 'a'.repeat(40);
+  assert.equal(accepts([{action: 'exclude', match: 'regex', value: '(a+)+$'}], long + '!'), true);
+  assert.equal(accepts([{action: 'exclude', match: 'regex', value: '(.*)*x'}], long), true);
+  assert.equal(accepts([{action: 'exclude', match: 'regex', value: '(\\w|\\d)*!'}], 'Movie ' + '1'.repeat(40)), true);
+  assert.equal(accepts([{action: 'exclude', match: 'regex', value: '(a|aa)+'}], long), true);
+  assert.equal(accepts([{action: 'exclude', match: 'regex', value: '(x)\\1'}], 'Movie.(x)\\1'), false);
+});
+
+test('regex with a single level of quantifiers stay regex', () => {
+  const rules = [{action: 'exclude', match: 'regex', value: '(?:web-?dl|webrip)[. ]1080p'}];
+  assert.equal(accepts(rules, 'Movie.2020.WEB-DL.1080p'), false);
+  assert.equal(accepts(rules, 'Movie.2020.WEBRip 1080p'), false);
+  assert.equal(accepts([{action: 'exclude', match: 'regex', value: '[(+]x26[45]'}], 'Movie.2020.(x264'), false);
+});
@@ -0,0 +1,168 @@
+import { writeFile, readFile } from 'node:fs/promises';
+import config from './config.js';
+
+const HEALTH_FILE = `${config.dataFolder}/indexer-health.json`;
+const SAVE_DELAY = 10e3;
+// A probe not recorded after this delay is considered lost
+const PROBE_TIMEOUT = 300e3;
+
+const indexers = await load();
+// indexerId => start date of the probe search after a quarantine
+const probes = {};
+let saveTimeout = null;
+
+export const STATUS = {
+  SUCCESS: 'success',
+  EMPTY: 'empty',
+  SLOW: 'slow',
+  TIMEOUT: 'timeout',
+  ERROR: 'error'
+};
+
+// Record the result of a search on an indexer
+// status: STATUS.*, duration in ms, error message for STATUS.ERROR
+export function record(indexerId, {status, duration, error}){
+
+  const health = getHealth(indexerId);
+  const now = Date.now();
+
+  delete probes[indexerId];
+  health.requests++;
+  health[status]++;
+  health.lastDuration = duration;
+  health.avgDuration = health.avgDuration ? Math.round(health.avgDuration * 0.8 + duration * 0.2) : duration;
+
+  if(status == STATUS.SLOW){
+    health.slowRequests = health.slowRequests.filter(date => now - date < config.slowIndexerWindow);
+    health.slowRequests.push(now);
+  }
+
+  if([STATUS.TIMEOUT, STATUS.ERROR].includes(status)){
+    health.consecutiveFailures++;
+    health.lastError = {status, message: `${error || status}`.substring(0, 300), date: now};
+  }else{
+    health.consecutiveFailures = 0;
+    health.lastSuccessDate = now;
+  }
+
+  if([STATUS.SUCCESS, STATUS.EMPTY].includes(status)){
+    health.slowRequests = [];
+  }
+
+  const reason = getQuarantineReason(health);
+  if(reason){
+    // Exponential back-off: each failed probe after a quarantine doubles the duration
+    const duration = Math.min(config.indexerQuarantineDuration * Math.pow(2, health.quarantineLevel), config.indexerQuarantineMaxDuration);
+    health.quarantine = {reason, from: now, until: now + duration};
+    health.quarantineLevel++;
+    health.consecutiveFailures = 0;
+    health.slowRequests = [];
+    console.log(`Indexer quarantined : ${indexerId} : ${reason} for ${Math.round(duration / 1000)}s`);
+  }else if(status == STATUS.SUCCESS || status == STATUS.EMPTY){
+    if(health.quarantine)console.log(`Indexer recovered : ${indexerId}`);
+    health.quarantine = null;
+    health.quarantineLevel = 0;
+  }
+
+  scheduleSave();
+
+}
+
+// An indexer is available when not quarantined, or when its quarantine expired and no probe is running
+export function isAvailable(indexerId){
+  const health = indexers[indexerId];
+  return !health || !health.quarantine || (health.quarantine.until <= Date.now() && !isProbing(indexerId));
+}
+
+// Called before a network search: false when the quarantine expired and another search already probes the indexer
+export function startProbe(indexerId){
+  const health = indexers[indexerId];
+  if(!health?.quarantine || health.quarantine.until > Date.now())return true;
+  if(isProbing(indexerId))return false;
+  probes[indexerId] = Date.now();
+  return true;
+}
+
+function isProbing(indexerId){
+  return !!probes[indexerId] && probes[indexerId] > Date.now() - PROBE_TIMEOUT;
+}
+
+export function getStats(indexerId){
+  const health = indexers[indexerId];
+  if(!health)return null;
+  const rate = (count) => health.requests ? Math.round(count / health.requests * 100) : 0;
+  return {
+    indexerId,
+    available: isAvailable(indexerId),
+    requests: health.requests,
+    avgDuration: health.avgDuration,
+    lastDuration: health.lastDuration,
+    errorRate: rate(health.error),
+    timeoutRate: rate(health.timeout),
+    emptyRate: rate(health.empty),
+    slowRate: rate(health.slow),
+    consecutiveFailures: health.consecutiveFailures,
+    lastError: health.lastError,
+    lastSuccessDate: health.lastSuccessDate,
+    quarantine: health.quarantine,
+    quarantineLevel: health.quarantineLevel
+  };
+}
+
+export function getAllStats(){
+  return Object.keys(indexers).map(getStats);
+}
+
+export async function save(){
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+  await writeFile(HEALTH_FILE, JSON.stringify(indexers));
+}
+
+function getQuarantineReason(health){
+  if(config.indexerQuarantineFailures > 0 && health.consecutiveFailures >= config.indexerQuarantineFailures){
+    return `${health.consecutiveFailures} consecutive failures (${health.lastError.status}: ${health.lastError.message})`;
+  }
+  if(config.slowIndexerRequest > 0 && health.slowRequests.length >= config.slowIndexerRequest){
+    return `${health.slowRequests.length} slow requests`;
+  }
+  // A failed probe after a quarantine immediately restart a longer quarantine
+  if(health.quarantine && health.quarantine.until <= Date.now() && health.consecutiveFailures > 0){
+    return `probe failed (${health.lastError.status}: ${health.lastError.message})`;
+  }
+  return '';
+}
+
+function getHealth(indexerId){
+  indexers[indexerId] = Object.assign({
+    requests: 0,
+    [STATUS.SUCCESS]: 0,
+    [STATUS.EMPTY]: 0,
+    [STATUS.SLOW]: 0,
+    [STATUS.TIMEOUT]: 0,
+    [STATUS.ERROR]: 0,
+    avgDuration: 0,
+    lastDuration: 0,
+    consecutiveFailures: 0,
+    slowRequests: [],
+    lastError: null,
+    lastSuccessDate: 0,
+    quarantine: null,
+    quarantineLevel: 0
+  }, indexers[indexerId] || {});
+  return indexers[indexerId];
+}
+
+function scheduleSave(){
+  if(saveTimeout)return;
+  saveTimeout = setTimeout(() => save().catch(err => console.log(`Failed to save indexer health: ${err}`)), SAVE_DELAY);
+  saveTimeout.unref();
+}
+
+async function load(){
+  try {
+    return JSON.parse(await readFile(HEALTH_FILE));
+  }catch(err){
+    return {};
+  }
+}
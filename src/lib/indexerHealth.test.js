@@ -0,0 +1,44 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtemp} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+
+process.env.DATA_FOLDER = await mkdtemp(path.join(tmpdir(), 'jackettio-'));
+process.env.INDEXER_QUARANTINE_FAILURES = '2';
+const indexerHealth = await import('./indexerHealth.js');
+const {STATUS} = indexerHealth;
+
+test('quarantine after consecutive failures and single probe once expired', (t) => {
+  const indexerId = 'test:failing';
+  indexerHealth.record(indexerId, {status: STATUS.ERROR, duration: 10, error: 'down'});
+  assert.equal(indexerHealth.isAvailable(indexerId), true);
+  indexerHealth.record(indexerId, {status: STATUS.TIMEOUT, duration: 10});
+  assert.equal(indexerHealth.isAvailable(indexerId), false);
+
+  const until = indexerHealth.getStats(indexerId).quarantine.until;
+  t.mock.method(Date, 'now', () => until + 1);
+  assert.equal(indexerHealth.isAvailable(indexerId), true);
+  assert.equal(indexerHealth.startProbe(indexerId), true);
+  assert.equal(indexerHealth.startProbe(indexerId), false);
+  assert.equal(indexerHealth.isAvailable(indexerId), false);
+
+  indexerHealth.record(indexerId, {status: STATUS.SUCCESS, duration: 10});
+  assert.equal(indexerHealth.getStats(indexerId).quarantine, null);
+  assert.equal(indexerHealth.startProbe(indexerId), true);
+  assert.equal(indexerHealth.isAvailable(indexerId), true);
+});
+
+test('failed probe restarts a longer quarantine', (t) => {
+  const indexerId = 'test:probe';
+  indexerHealth.record(indexerId, {status: STATUS.ERROR, duration: 10});
+  indexerHealth.record(indexerId, {status: STATUS.ERROR, duration: 10});
+  const first = indexerHealth.getStats(indexerId).quarantine;
+
+  t.mock.method(Date, 'now', () => first.until + 1);
+  assert.equal(indexerHealth.startProbe(indexerId), true);
+  indexerHealth.record(indexerId, {status: STATUS.ERROR, duration: 10});
+  const second = indexerHealth.getStats(indexerId).quarantine;
+  assert.ok(second.until - second.from > first.until - first.from);
+  assert.equal(indexerHealth.isAvailable(indexerId), false);
+});
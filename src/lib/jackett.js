@@ -1,215 +1,683 @@
 import crypto from "crypto";
-import { Parser } from "xml2js";
 import config from "./config.js";
 import cache from "./cache.js";
-import { numberPad, parseWords } from "./util.js";
+import { numberPad, promiseTimeout } from "./util.js";
+import { mergeDollarKeys, forceArray } from "./torznab.js";
+import * as indexerHealth from "./indexerHealth.js";
+import * as releaseParser from "./releaseParser.js";
+import * as languages from "./languages.js";
+import Jackett from "./backend/jackett.js";
+import Prowlarr from "./backend/prowlarr.js";
+import TorznabFeed from "./backend/torznabFeed.js";
 
 export const CATEGORY = {
     MOVIE: 2000,
     SERIES: 5000,
+    ANIME: 5070,
 };
 
-export async function searchMovieTorrents({ indexer, name, year }) {
-    indexer = indexer || "all";
-    const cacheKey = `jackettItems:2:movie:${indexer}:${name}:${year}`;
-    let items = await cache.get(cacheKey);
-
-    if (!items) {
-        const res = await jackettApi(
-            `/api/v2.0/indexers/${indexer}/results/torznab/api`,
-            // year is buggy with some indexers
-            { t: "search", cat: CATEGORY.MOVIE, q: name /*, year: year*/ }
+const backends = { jackett: Jackett, prowlarr: Prowlarr };
+
+if (!backends[config.searchBackend]) {
+    throw new Error(`Search backend "${config.searchBackend}" not exists`);
+}
+
+const refreshInProgress = {};
+
+// Own indexer ids of each client, from its last indexers list
+const clientIndexers = new Map();
+
+// Each client owns its indexers, ids are prefixed by the client namespace
+// ("home:yggtorrent") when several Jackett instances are configured.
+// Torznab feeds are clients owning a single indexer "torznab:<feed name>".
+const searchClients = createClients();
+const clients = [...searchClients, ...createFeeds(searchClients)];
+
+function createClients() {
+    if (config.searchBackend == "prowlarr") {
+        return [
+            new Prowlarr({
+                url: config.prowlarrUrl,
+                apiKey: config.prowlarrApiKey,
+            }),
+        ];
+    }
+    if (config.jackettInstances.length) {
+        return config.jackettInstances.map(
+            (instance) => new Jackett({ ...instance, namespace: instance.name })
         );
-        items = res?.rss?.channel?.item || [];
-        cache.set(cacheKey, items, { ttl: items.length > 0 ? 3600 * 36 : 60 });
     }
+    return [
+        new Jackett({ url: config.jackettUrl, apiKey: config.jackettApiKey }),
+    ];
+}
 
-    return normalizeItems(items);
+// Feeds without name or url, with a duplicated name or when a Jackett instance is named "torznab" are ignored
+function createFeeds(searchClients) {
+    const namespaces = searchClients.map((client) => client.namespace);
+    return config.torznabFeeds
+        .filter((feed, index, feeds) => {
+            if (!feed?.name || !feed?.url) {
+                console.log(`Torznab feed ignored, name and url are required`);
+                return false;
+            }
+            if (
+                namespaces.includes("torznab") ||
+                feeds.findIndex((f) => f?.name == feed.name) !== index
+            ) {
+                console.log(`Torznab feed "${feed.name}" ignored, id conflict`);
+                return false;
+            }
+            return true;
+        })
+        .map((feed) => new TorznabFeed(feed));
 }
 
-export async function searchSerieTorrents({ indexer, name, year }) {
-    indexer = indexer || "all";
-    const cacheKey = `jackettItems:2:serie:${indexer}:${name}:${year}`;
-    let items = await cache.get(cacheKey);
+function namespaceIndexer(client, indexer) {
+    return client.namespace ? `${client.namespace}:${indexer}` : `${indexer}`;
+}
 
-    if (!items) {
-        const res = await jackettApi(
-            `/api/v2.0/indexers/${indexer}/results/torznab/api`,
-            { t: "search", cat: CATEGORY.SERIES, q: `${name}` }
-        );
-        items = res?.rss?.channel?.item || [];
-        cache.set(cacheKey, items, { ttl: items.length > 0 ? 3600 * 36 : 60 });
+// Return the clients to query with their own indexer id
+function resolveIndexer(indexer) {
+    if (indexer == "all") {
+        return clients.map((client) => ({
+            client,
+            indexer: client.feedId || indexer,
+        }));
+    }
+    const feed = clients.find((client) => client.feedId == indexer);
+    if (feed) {
+        return [{ client: feed, indexer }];
+    }
+    const namespaced = clients.find(
+        (client) =>
+            client.namespace && indexer.startsWith(`${client.namespace}:`)
+    );
+    if (namespaced) {
+        return [
+            {
+                client: namespaced,
+                indexer: indexer.substring(namespaced.namespace.length + 1),
+            },
+        ];
     }
+    const client = clients.find(
+        (client) =>
+            !client.namespace && !client.feedId && ownsIndexer(client, indexer)
+    );
+    if (client) {
+        return [{ client, indexer }];
+    }
+    throw new Error(`No search instance found for indexer ${indexer}`);
+}
 
-    return normalizeItems(items);
+// A client without namespace owns the ids of its last indexers list,
+// before its first list only ids without namespace
+function ownsIndexer(client, indexer) {
+    const indexers = clientIndexers.get(client);
+    return indexers ? indexers.has(`${indexer}`) : !`${indexer}`.includes(":");
 }
 
-export async function searchSeasonTorrents({ indexer, name, year, season }) {
+export async function searchMovieTorrents({
+    indexer,
+    isAnime,
+    name,
+    aliases,
+    year,
+    imdb_id,
+    supportedParams,
+    timeout,
+}) {
     indexer = indexer || "all";
-    const cacheKey = `jackettItems:2:season:${indexer}:${name}:${year}:${season}`;
-    let items = await cache.get(cacheKey);
+    const names = getQueryVariants({ name, aliases, year });
+    const queries = buildQueries(supportedParams, names, [
+        // Native movie search by IMDb ID
+        {
+            params: ["imdbid"],
+            query: {
+                t: "movie",
+                cat: categories(CATEGORY.MOVIE, isAnime),
+                imdbid: imdb_id,
+            },
+        },
+        // year is buggy with some indexers
+        {
+            params: [],
+            query: {
+                t: "search",
+                cat: categories(CATEGORY.MOVIE, isAnime),
+                q: (name) => name,
+            },
+        },
+    ]);
+    const cacheKey = `jackettItems:3:movie:${indexer}:${queriesKey(
+        queries
+    )}:${year}`;
 
-    if (!items) {
-        const res = await jackettApi(
-            `/api/v2.0/indexers/${indexer}/results/torznab/api`,
-            {
+    return searchItems(indexer, "movie", cacheKey, queries, timeout);
+}
+
+export async function searchSerieTorrents({
+    indexer,
+    isAnime,
+    name,
+    aliases,
+    year,
+    imdb_id,
+    supportedParams,
+    timeout,
+}) {
+    indexer = indexer || "all";
+    const names = getQueryVariants({ name, aliases });
+    const queries = buildQueries(supportedParams, names, [
+        {
+            params: ["imdbid"],
+            query: {
+                t: "tvsearch",
+                cat: categories(CATEGORY.SERIES, isAnime),
+                imdbid: imdb_id,
+            },
+        },
+        {
+            params: [],
+            query: {
                 t: "search",
-                cat: CATEGORY.SERIES,
-                q: `${name} S${numberPad(season)}`,
-            }
-        );
-        items = res?.rss?.channel?.item || [];
-        cache.set(cacheKey, items, { ttl: items.length > 0 ? 3600 * 36 : 60 });
-    }
+                cat: categories(CATEGORY.SERIES, isAnime),
+                q: (name) => name,
+            },
+        },
+    ]);
+    const cacheKey = `jackettItems:3:serie:${indexer}:${queriesKey(
+        queries
+    )}:${year}`;
+
+    return searchItems(indexer, "serie", cacheKey, queries, timeout);
+}
+
+export async function searchSeasonTorrents({
+    indexer,
+    isAnime,
+    name,
+    aliases,
+    year,
+    season,
+    imdb_id,
+    supportedParams,
+    timeout,
+}) {
+    indexer = indexer || "all";
+    const names = getQueryVariants({ name, aliases });
+    const queries = buildQueries(supportedParams, names, [
+        {
+            params: ["imdbid", "season"],
+            query: {
+                t: "tvsearch",
+                cat: categories(CATEGORY.SERIES, isAnime),
+                imdbid: imdb_id,
+                season,
+            },
+        },
+        {
+            params: ["q", "season"],
+            query: {
+                t: "tvsearch",
+                cat: categories(CATEGORY.SERIES, isAnime),
+                q: (name) => name,
+                season,
+            },
+        },
+        {
+            params: [],
+            query: {
+                t: "search",
+                cat: categories(CATEGORY.SERIES, isAnime),
+                q: (name) => `${name} S${numberPad(season)}`,
+            },
+        },
+    ]);
+    const cacheKey = `jackettItems:3:season:${indexer}:${queriesKey(
+        queries
+    )}:${year}:${season}`;
 
-    return normalizeItems(items);
+    return searchItems(indexer, "season", cacheKey, queries, timeout);
 }
 
 export async function searchEpisodeTorrents({
     indexer,
+    isAnime,
+    absoluteEpisode,
+    isDaily,
+    airDate,
     name,
+    aliases,
     year,
     season,
     episode,
+    imdb_id,
+    supportedParams,
+    timeout,
 }) {
     indexer = indexer || "all";
-    const cacheKey = `jackettItems:2:episode:${indexer}:${name}:${year}:${season}:${episode}`;
-    let items = await cache.get(cacheKey);
-
-    if (!items) {
-        const res = await jackettApi(
-            `/api/v2.0/indexers/${indexer}/results/torznab/api`,
-            {
+    const names = getQueryVariants({ name, aliases });
+    // Anime releases are often named with the absolute episode number ("Show - 1054")
+    const animeCandidates =
+        isAnime && absoluteEpisode
+            ? [
+                  {
+                      params: [],
+                      query: {
+                          t: "search",
+                          cat: categories(CATEGORY.SERIES, isAnime),
+                          q: (name) => `${name} ${numberPad(absoluteEpisode)}`,
+                      },
+                  },
+              ]
+            : [];
+    // Daily shows are named with the air date ("Show 2026 10 14"), Torznab season / ep are then the year and "MM/DD"
+    const [airYear, airMonth, airDay] = `${airDate || ""}`.split("-");
+    const dailyCandidates =
+        isDaily && airDay
+            ? [
+                  {
+                      params: ["q", "season", "ep"],
+                      query: {
+                          t: "tvsearch",
+                          cat: categories(CATEGORY.SERIES, isAnime),
+                          q: (name) => name,
+                          season: airYear,
+                          ep: `${airMonth}/${airDay}`,
+                      },
+                  },
+                  {
+                      params: [],
+                      query: {
+                          t: "search",
+                          cat: categories(CATEGORY.SERIES, isAnime),
+                          q: (name) =>
+                              `${name} ${airYear} ${airMonth} ${airDay}`,
+                      },
+                  },
+              ]
+            : [];
+    const queries = buildQueries(supportedParams, names, [
+        ...dailyCandidates,
+        {
+            params: ["imdbid", "season", "ep"],
+            query: {
+                t: "tvsearch",
+                cat: categories(CATEGORY.SERIES, isAnime),
+                imdbid: imdb_id,
+                season,
+                ep: episode,
+            },
+        },
+        {
+            params: ["q", "season", "ep"],
+            query: {
+                t: "tvsearch",
+                cat: categories(CATEGORY.SERIES, isAnime),
+                q: (name) => name,
+                season,
+                ep: episode,
+            },
+        },
+        {
+            params: [],
+            query: {
                 t: "search",
-                cat: CATEGORY.SERIES,
-                q: `${name} S${numberPad(season)}E${numberPad(episode)}`,
-            }
-        );
-        items = res?.rss?.channel?.item || [];
-        cache.set(cacheKey, items, { ttl: items.length > 0 ? 3600 * 36 : 60 });
-    }
-
-    return normalizeItems(items);
+                cat: categories(CATEGORY.SERIES, isAnime),
+                q: (name) =>
+                    `${name} S${numberPad(season)}E${numberPad(episode)}`,
+            },
+        },
+        // Weakest match, only tried when nothing is found by id or SxxEyy
+        ...animeCandidates,
+    ]);
+    const cacheKey = `jackettItems:3:episode:${indexer}:${queriesKey(
+        queries
+    )}:${year}:${season}:${episode}`;
+
+    return searchItems(indexer, "episode", cacheKey, queries, timeout);
 }
 
 export async function searchAllTorrents({ indexer, query }) {
     indexer = indexer || "all";
-    const cacheKey = `jackettItems:2:search:${indexer}:${query}`;
-    let items = await cache.get(cacheKey);
-
-    if (!items) {
-        const params = new URLSearchParams({ Query: query });
-        params.set("apikey", config.jackettApiKey);
-
-        const url = `${
-            config.jackettUrl
-        }/api/v2.0/indexers/${indexer}/results?${params.toString()}`;
-
-        const res = await fetch(url);
-        const data = await res.json();
-
-        if (data.error) {
-            throw new Error(
-                `jackettApi: ${url.replace(
-                    /apikey=[a-z0-9\-]+/,
-                    "apikey=****"
-                )} : ${data.error}`
+    const targets = resolveIndexer(indexer);
+    const results = await Promise.allSettled(
+        targets.map(async ({ client, indexer }) => {
+            const cacheKey = `jackettItems:3:${
+                client.id
+            }:search:${namespaceIndexer(client, indexer)}:${query}`;
+
+            // Torznab feeds have no JSON api, their items are Torznab items
+            const items = await getCachedItems(cacheKey, "search", () =>
+                client.searchJson
+                    ? client.searchJson(indexer, query)
+                    : client.searchTorznab(indexer, { t: "search", q: query })
             );
-        }
 
-        items = data?.Results || [];
-        cache.set(cacheKey, items, { ttl: items.length > 0 ? 3600 * 36 : 60 });
-    }
+            return client.searchJson
+                ? normalizeJsonItems(items, client)
+                : normalizeItems(items, client, indexer);
+        })
+    );
 
-    return normalizeJsonItems(items);
+    return mergeResults(results, targets);
 }
 
+// Indexers of all instances, an unreachable instance is skipped
 export async function getIndexers() {
-    const res = await jackettApi("/api/v2.0/indexers/all/results/torznab/api", {
-        t: "indexers",
-        configured: "true",
+    const results = await Promise.allSettled(
+        clients.map(async (client) => {
+            const indexers = await promiseTimeout(
+                client.getIndexers(),
+                config.searchInstanceTimeout
+            );
+            clientIndexers.set(
+                client,
+                new Set(indexers.map((indexer) => `${indexer.id}`))
+            );
+            return indexers.map((indexer) => ({
+                ...indexer,
+                id: namespaceIndexer(client, indexer.id),
+                title: client.namespace
+                    ? `${indexer.title} (${client.namespace})`
+                    : indexer.title,
+            }));
+        })
+    );
+
+    return mergeResults(
+        results,
+        clients.map((client) => ({ client }))
+    );
+}
+
+// Jackett instance of an indexer, null when the indexer is unknown or a Torznab feed
+export function getIndexerInstance(indexer) {
+    try {
+        const [target] = resolveIndexer(indexer);
+        if (target.client.feedId) return null;
+        return { url: target.client.url, indexer: target.indexer };
+    } catch (err) {
+        return null;
+    }
+}
+
+function mergeResults(results, targets) {
+    const errors = results.filter((result) => result.status == "rejected");
+    if (errors.length && errors.length == results.length) {
+        throw errors[0].reason;
+    }
+    errors.forEach((error) => {
+        const { client } = targets[results.indexOf(error)];
+        console.log(
+            `Search instance ${
+                client.namespace || client.feedId || "default"
+            } unavailable : ${error.reason?.message || error.reason}`
+        );
     });
+    return [].concat(
+        ...results
+            .filter((result) => result.status == "fulfilled")
+            .map((result) => result.value)
+    );
+}
 
-    return normalizeIndexers(res?.indexers?.indexer || []);
+// Keep only the queries the indexer can handle, in order of preference.
+// Native queries (imdbid, season, ep) are only used when the indexer advertises
+// all their params and every value is known, the text query is always kept last as fallback.
+// Each text query (q as function) is expanded into one query per name variant.
+function buildQueries(supportedParams, names, candidates) {
+    supportedParams = supportedParams || [];
+    return candidates
+        .filter(
+            ({ params, query }) =>
+                params.every((param) => supportedParams.includes(param)) &&
+                params.every(
+                    (param) => ![undefined, null, ""].includes(query[param])
+                )
+        )
+        .map(({ query }) =>
+            typeof query.q == "function"
+                ? names.map((name) => ({ ...query, q: query.q(name) }))
+                : [query]
+        );
 }
 
-async function jackettApi(path, query) {
-    const params = new URLSearchParams(query || {});
-    params.set("apikey", config.jackettApiKey);
+// Anime are also searched in the anime category, not always a subcategory of series on indexers
+function categories(category, isAnime) {
+    return isAnime ? `${category},${CATEGORY.ANIME}` : category;
+}
+
+function queriesKey(queries) {
+    const { t, q, imdbid } = queries[0][0];
+    return `${t}:${imdbid || q}`;
+}
+
+// A small set of text query variants: stripped punctuation, "and" vs "&",
+// latin alternative titles (non latin titles often return nothing) and with year.
+function getQueryVariants({ name, aliases, year }) {
+    const isLatin = (str) => !/[^\u0000-\u024F\u1E00-\u1EFF]/.test(str);
+    const normalize = (str) =>
+        str
+            .replace(/&/g, " and ")
+            .replace(/['’`]/g, "")
+            .replace(/[^\p{L}\p{N}]+/gu, " ")
+            .trim();
+    const titles = [name, ...(aliases || [])].filter(Boolean);
+    const latinTitles = titles.filter(isLatin);
+    const [mainTitle] = latinTitles.length ? latinTitles : titles;
+
+    const variants = [
+        name,
+        normalize(mainTitle),
+        year ? `${normalize(mainTitle)} ${year}` : "",
+        ...latinTitles.map(normalize),
+        normalize(mainTitle).replace(/ and /gi, " & "),
+    ];
+
+    return variants
+        .filter(Boolean)
+        .filter(
+            (variant, index, variants) =>
+                variants.findIndex(
+                    (v) => v.toLowerCase() == variant.toLowerCase()
+                ) === index
+        )
+        .slice(0, Math.max(1, config.searchQueryVariants));
+}
+
+// Run queries until one returns results, a native search returning nothing
+// falls back to the next (text) queries. Results of all the variants of a text
+// query are merged and deduplicated.
+// timeout (ms) of the user search: a slower network search still completes and fills
+// the cache, it is recorded as a timeout in the indexer health
+async function searchItems(indexer, type, cacheKey, queries, timeout) {
+    const targets = resolveIndexer(indexer);
+    const results = await Promise.allSettled(
+        targets.map(async ({ client, indexer }) => {
+            const targetCacheKey =
+                targets.length > 1
+                    ? `${cacheKey}:${client.namespace || client.feedId}`
+                    : cacheKey;
+
+            const healthId =
+                indexer != "all" ? namespaceIndexer(client, indexer) : "";
+
+            const items = await getCachedItems(targetCacheKey, type, () =>
+                fetchWithHealth(healthId, timeout, async () => {
+                    let items = [];
+                    for (const variants of queries) {
+                        const results = await Promise.allSettled(
+                            variants.map((query) =>
+                                client.searchTorznab(indexer, query)
+                            )
+                        );
+                        items = mergeResults(
+                            results,
+                            variants.map(() => ({ client }))
+                        )
+                            .filter(
+                                (item, index, items) =>
+                                    items.findIndex(
+                                        (i) =>
+                                            JSON.stringify(i.guid) ==
+                                            JSON.stringify(item.guid)
+                                    ) === index
+                            )
+                            .map((item) => ({
+                                ...item,
+                                searchedByImdb: !!variants[0].imdbid,
+                            }));
+                        if (items.length) break;
+                    }
+                    return items;
+                })
+            );
 
-    const url = `${config.jackettUrl}${path}?${params.toString()}`;
+            return normalizeItems(items, client, indexer);
+        })
+    );
 
-    let data;
-    const res = await fetch(url);
-    if (res.headers.get("content-type").includes("application/json")) {
-        data = await res.json();
-    } else {
-        const text = await res.text();
-        const parser = new Parser({ explicitArray: false, ignoreAttrs: false });
-        data = await parser.parseStringPromise(text);
+    return mergeResults(results, targets);
+}
+
+// Indexer health is recorded on network searches only (cache hits say nothing about the indexer).
+// When its quarantine expired, a single search probes the indexer.
+async function fetchWithHealth(indexerId, timeout, fetchItems) {
+    if (!indexerId) return fetchItems();
+
+    if (!indexerHealth.startProbe(indexerId)) {
+        throw new Error(`Indexer ${indexerId} quarantined, probe in progress`);
     }
 
-    if (data.error) {
-        throw new Error(
-            `jackettApi: ${url.replace(
-                /apikey=[a-z0-9\-]+/,
-                "apikey=****"
-            )} : ${data.error?.$?.description || data.error}`
-        );
+    const start = Date.now();
+    const { STATUS } = indexerHealth;
+
+    try {
+        const items = await fetchItems();
+        const duration = Date.now() - start;
+        let status = items.length ? STATUS.SUCCESS : STATUS.EMPTY;
+        if (timeout && duration >= timeout) {
+            console.log(`Indexer timeout : ${indexerId} : ${duration}ms`);
+            status = STATUS.TIMEOUT;
+        } else if (duration > config.slowIndexerDuration) {
+            console.log(`Slow indexer detected : ${indexerId} : ${duration}ms`);
+            status = STATUS.SLOW;
+        }
+        indexerHealth.record(indexerId, { status, duration });
+        return items;
+    } catch (err) {
+        const duration = Date.now() - start;
+        const status =
+            timeout && duration >= timeout ? STATUS.TIMEOUT : STATUS.ERROR;
+        console.log(`Indexer ${status} : ${indexerId} : ${err.message || err}`);
+        indexerHealth.record(indexerId, {
+            status,
+            duration,
+            error: err.message || err,
+        });
+        throw err;
     }
+}
 
-    return data;
+// Stale-while-revalidate cache: once the TTL of the type (config.searchCacheTtl) is
+// expired, cached items are still returned while a background search refresh them.
+// Empty results are never served stale so new releases appear quickly.
+async function getCachedItems(cacheKey, type, fetchItems) {
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+        const isStale =
+            Date.now() - cached.date > config.searchCacheTtl[type] * 1000;
+        if (isStale && !refreshInProgress[cacheKey]) {
+            console.log(`${cacheKey} : Refresh stale search results ...`);
+            refreshCachedItems(cacheKey, type, fetchItems).catch((err) =>
+                console.log(
+                    `${cacheKey} : Failed to refresh search results : ${
+                        err.message || err
+                    }`
+                )
+            );
+        }
+        return cached.items;
+    }
+
+    return (
+        refreshInProgress[cacheKey] ||
+        refreshCachedItems(cacheKey, type, fetchItems)
+    );
 }
 
-function normalizeItems(items) {
+function refreshCachedItems(cacheKey, type, fetchItems) {
+    refreshInProgress[cacheKey] = (async () => {
+        try {
+            const items = await fetchItems();
+            const ttl = items.length
+                ? config.searchCacheTtl[type] + config.searchCacheStaleTtl
+                : config.searchCacheEmptyTtl;
+            await cache.set(cacheKey, { items, date: Date.now() }, { ttl });
+            return items;
+        } finally {
+            delete refreshInProgress[cacheKey];
+        }
+    })();
+    return refreshInProgress[cacheKey];
+}
+
+function normalizeItems(items, client, indexer) {
     return forceArray(items).map((item) => {
         item = mergeDollarKeys(item);
-        const attr = item["torznab:attr"].reduce((obj, item) => {
-            obj[item.name] = item.value;
-            return obj;
-        }, {});
-        const quality = item.title.match(/(2160|1080|720|480|360)p/);
-        const title = parseWords(item.title).join(" ");
-        const year = item.title
-            .replace(quality ? quality[1] : "", "")
-            .match(/(19|20[\d]{2})/);
+        const attr = forceArray(item["torznab:attr"] || []).reduce(
+            (obj, item) => {
+                obj[item.name] = item.value;
+                return obj;
+            },
+            {}
+        );
+        const release = releaseParser.parse(item.title);
+        const { audio, subtitles } = languages.detect(item.title);
+        // Attributes of text elements are merged: <guid isPermaLink="false">xxx</guid>
+        const guid = item.guid?._ ?? item.guid ?? item.link ?? item.title;
         return {
             name: item.title,
-            guid: item.guid,
-            indexerId: item.jackettindexer.id,
-            id: crypto.createHash("sha1").update(item.guid).digest("hex"),
+            guid,
+            indexerId: namespaceIndexer(
+                client,
+                indexer != "all"
+                    ? indexer
+                    : (item.jackettindexer || item.prowlarrindexer)?.id
+            ),
+            id: crypto.createHash("sha1").update(`${guid}`).digest("hex"),
             size: parseInt(item.size),
             link: item.link,
             seeders: parseInt(attr.seeders || 0),
             peers: parseInt(attr.peers || 0),
             infoHash: attr.infohash || "",
             magneturl: attr.magneturl || "",
+            imdb: attr.imdb || attr.imdbid || null,
+            // Found by an imdbid query, the indexer already matched the title
+            searchedByImdb: !!item.searchedByImdb,
             type: item.type,
-            quality: quality ? parseInt(quality[1]) : 0,
-            year: year ? parseInt(year.pop()) : 0,
-            languages: config.languages.filter((lang) =>
-                title.match(lang.pattern)
-            ),
+            quality: release.quality,
+            year: release.year,
+            languages: audio,
+            subtitles,
+            release,
             publishDate: item.pubDate ? new Date(item.pubDate).getTime() : 0,
         };
     });
 }
 
-function normalizeJsonItems(items) {
+function normalizeJsonItems(items, client) {
     return forceArray(items).map((item) => {
-        const quality = item.Title.match(/(2160|1080|720|480|360)p/);
-        const title = parseWords(item.Title).join(" ");
-        const year =
-            item.Year ||
-            (
-                item.Title.replace(quality ? quality[1] : "", "").match(
-                    /(19|20[\d]{2})/
-                ) || []
-            ).pop();
+        const release = releaseParser.parse(item.Title);
+        const { audio, subtitles } = languages.detect(item.Title);
         return {
             name: item.Title,
             guid: item.Guid,
-            indexerId: item.TrackerId,
+            indexerId: namespaceIndexer(client, item.TrackerId),
             id: crypto.createHash("sha1").update(item.Guid).digest("hex"),
             size: parseInt(item.Size || 0),
             link: item.Link,
@@ -218,11 +686,11 @@ function normalizeJsonItems(items) {
             infoHash: item.InfoHash || "",
             magneturl: item.MagnetUri || "",
             type: item.CategoryDesc,
-            quality: quality ? parseInt(quality[1]) : 0,
-            year: year ? parseInt(year) : 0,
-            languages: config.languages.filter((lang) =>
-                title.match(lang.pattern)
-            ),
+            quality: release.quality,
+            year: parseInt(item.Year || release.year),
+            languages: audio,
+            subtitles,
+            release,
             imdb: item.Imdb || null,
             poster: item.Poster || null,
             genres: item.Genres || [],
@@ -232,49 +700,3 @@ function normalizeJsonItems(items) {
         };
     });
 }
-
-function normalizeIndexers(items) {
-    return forceArray(items).map((item) => {
-        item = mergeDollarKeys(item);
-        const searching = item.caps.searching;
-        return {
-            id: item.id,
-            configured: item.configured == "true",
-            title: item.title,
-            language: item.language,
-            type: item.type,
-            categories: forceArray(item.caps.categories.category).map(
-                (category) => parseInt(category.id)
-            ),
-            searching: {
-                movie: {
-                    available: searching["movie-search"].available == "yes",
-                    supportedParams:
-                        searching["movie-search"].supportedParams.split(","),
-                },
-                series: {
-                    available: searching["tv-search"].available == "yes",
-                    supportedParams:
-                        searching["tv-search"].supportedParams.split(","),
-                },
-            },
-        };
-    });
-}
-
-function mergeDollarKeys(item) {
-    if (item.$) {
-        item = { ...item.$, ...item };
-        delete item.$;
-    }
-    for (let key in item) {
-        if (typeof item[key] === "object") {
-            item[key] = mergeDollarKeys(item[key]);
-        }
-    }
-    return item;
-}
-
-function forceArray(value) {
-    return Array.isArray(value) ? value : [value];
-}
@@ -1,21 +1,36 @@
 import pLimit from 'p-limit';
-import {parseWords, numberPad, sortBy, bytesToSize, wait, promiseTimeout} from './util.js';
-import config from './config.js';
+import {parseWords, numberPad, bytesToSize, wait, promiseTimeout, isVideo} from './util.js';
+import config, {legacySortPreset} from './config.js';
 import cache from './cache.js';
 import { updateUserConfigWithMediaFlowIp, applyMediaflowProxyIfNeeded } from './mediaflowProxy.js';
 import * as meta from './meta.js';
 import * as jackett from './jackett.js';
 import * as debrid from './debrid.js';
 import * as torrentInfos from './torrentInfos.js';
-
-const slowIndexers = {};
+import * as indexerHealth from './indexerHealth.js';
+import * as releaseParser from './releaseParser.js';
+import {createReleaseFilter} from './releaseFilter.js';
+import {createSizeFilter, estimateEpisodeSize} from './sizeLimits.js';
+import {createRulesFilter} from './filterRules.js';
+import {createRelevanceFilter} from './relevance.js';
+import {findEpisodeFile, findLargestVideo} from './episodeMatcher.js';
+import {createScorer, sortByScore} from './scoring.js';
 
 const actionInProgress = {
   getTorrents: {},
-  getDownload: {}
+  getDownload: {},
+  prepareNextEpisode: {}
 };
 
+// Per user debrid: one torrent added at a time and config.nextEpisodesDebridLimit per hour
+const debridLimiters = new Map();
+
+// tt123:1:2 or anime kitsu:123:14 / mal:123:14 (absolute episode, no season)
 function parseStremioId(stremioId){
+  if(meta.isAnimeId(stremioId)){
+    const [prefix, id, episode] = stremioId.split(':');
+    return {id: `${prefix}:${id}`, season: 0, episode: parseInt(episode || 0)};
+  }
   const [id, season, episode] = stremioId.split(':');
   return {id, season: parseInt(season || 0), episode: parseInt(episode || 0)};
 }
@@ -33,55 +48,64 @@ async function getMetaInfos(type, stremioId, language){
 
 async function mergeDefaultUserConfig(userConfig){
   config.immulatableUserConfigKeys.forEach(key => delete userConfig[key]);
+  // Configs saved before the scoring engine have sort settings instead of a preset
+  if(!userConfig.scorePreset && userConfig.sortCached){
+    userConfig.scorePreset = legacySortPreset(userConfig.sortCached);
+  }
   userConfig = Object.assign({}, config.defaultUserConfig, userConfig);
   userConfig = await updateUserConfigWithMediaFlowIp(userConfig);
   return userConfig;
 }
 
-function priotizeItems(allItems, priotizeItems, max){
-  max = max || 0;
-  if(typeof(priotizeItems) == 'function'){
-    priotizeItems = allItems.filter(priotizeItems);
-    if(max > 0)priotizeItems.splice(max);
-  }
-  if(priotizeItems && priotizeItems.length){
-    allItems = allItems.filter(item => !priotizeItems.find(i => i == item));
-    allItems.unshift(...priotizeItems);
-  }
-  return allItems;
+// Pack played by the user for a show, its next episodes are taken from it
+async function playedPackKey(debridInstance, stremioId){
+  return `playedPack:${await debridInstance.getUserHash()}:${parseStremioId(stremioId).id}`;
+}
+
+function isPack(torrent){
+  return (torrent.infos?.files || []).filter(file => isVideo(file.name)).length > 1;
 }
 
-function searchEpisodeFile(files, season, episode){
-  return files.find(file => file.name.includes(`S${numberPad(season, 2)}E${numberPad(episode, 3)}`))
-    || files.find(file => file.name.includes(`S${numberPad(season, 2)}E${numberPad(episode, 2)}`))
-    || files.find(file => file.name.includes(`${season}${numberPad(episode, 2)}`))
-    || files.find(file => file.name.includes(`${numberPad(episode, 2)}`))
-    || false;
+// Stremio autoplay keeps the next episode in the same binge group:
+// the same pack, or the same indexer, release group and resolution
+function getBingeGroup(torrent){
+  if(isPack(torrent))return `${config.addonId}|pack|${torrent.infos.infoHash}`;
+  return `${config.addonId}|${torrent.indexerId}|${torrent.release?.group || ''}|${torrent.quality}`;
 }
 
-function getSlowIndexerStats(indexerId){
-  slowIndexers[indexerId] = (slowIndexers[indexerId] || []).filter(item => new Date() - item.date < config.slowIndexerWindow);
+// Same release listed on several indexers: same infohash, or same normalized name and size.
+// The best copy (priority indexer, then most seeders) is kept, the others are its alternates
+// tried when its torrent file is not available.
+function dedupeTorrents(torrents, priorityIndexers){
+  const key = (torrent) => torrent.infoHash
+    ? torrent.infoHash.toLowerCase()
+    : `${parseWords(torrent.name.toLowerCase()).join(' ')}:${Math.round(torrent.size / 1024 / 1024)}`;
+  const isPriority = (torrent) => (priorityIndexers || []).includes(torrent.indexerId) ? 1 : 0;
+  const copies = new Map();
+  torrents.forEach(torrent => copies.set(key(torrent), [...(copies.get(key(torrent)) || []), torrent]));
+  return [...copies.values()].map(items => {
+    const [best, ...alternates] = items.sort((a, b) => isPriority(b) - isPriority(a) || b.seeders - a.seeders);
+    best.alternates = alternates;
+    return best;
+  });
+}
+
+// Native search params (imdbid, season, ep) are only sent when the indexer advertises them for this type,
+// network searches slower than the timeout are recorded as timeouts in the indexer health (jackett.js)
+function indexerSearchOptions(indexer, type, timeout){
+  const searching = indexer.searching[type];
   return {
-    min: Math.min(...slowIndexers[indexerId].map(item => item.duration)),
-    avg: Math.round(slowIndexers[indexerId].reduce((acc, item) => acc + item.duration, 0) / slowIndexers[indexerId].length),
-    max: Math.max(...slowIndexers[indexerId].map(item => item.duration)),
-    count: slowIndexers[indexerId].length
-  }
+    indexer: indexer.id,
+    supportedParams: searching.available ? searching.supportedParams : [],
+    timeout
+  };
 }
 
 async function timeoutIndexerSearch(indexerId, promise, timeout){
-  const start = new Date();
-  const res = await promiseTimeout(promise, timeout).catch(err => []);
-  const duration = new Date() - start;
-  if(timeout > config.slowIndexerDuration){
-    if(duration > config.slowIndexerDuration){
-      console.log(`Slow indexer detected : ${indexerId} : ${duration}ms`);
-      slowIndexers[indexerId].push({duration, date: new Date()});
-    }else{
-      slowIndexers[indexerId] = [];
-    }
-  }
-  return res;
+  return promiseTimeout(promise, timeout).catch(err => {
+    console.log(`Indexer search failed : ${indexerId} : ${err.message || err}`);
+    return [];
+  });
 }
 
 async function getTorrents(userConfig, metaInfos, debridInstance){
@@ -93,32 +117,54 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
 
   try {
 
-    const {qualities, excludeKeywords, maxTorrents, sortCached, sortUncached, priotizePackTorrents, priotizeLanguages, indexerTimeoutSec} = userConfig;
-    const {id, season, episode, type, stremioId, year} = metaInfos;
+    const {qualities, excludeKeywords, maxTorrents, priotizePackTorrents, indexerTimeoutSec} = userConfig;
+    const {id, season, absoluteEpisode, isAnime, type, stremioId, year} = metaInfos;
 
     let torrents = [];
     let startDate = new Date();
+    // The pack played for a previous episode is kept first: same binge group and already on debrid
+    let playedPack = null;
+    const pinPlayedPack = (torrents) => {
+      const index = playedPack ? torrents.findIndex(torrent => [torrent, ...(torrent.alternates || [])].find(t => {
+        const infoHash = t.infos?.infoHash || t.infoHash;
+        return t.id == playedPack.id || (infoHash && infoHash.toLowerCase() == `${playedPack.infoHash}`.toLowerCase());
+      })) : -1;
+      if(index > 0)torrents.unshift(...torrents.splice(index, 1));
+      return torrents;
+    };
 
     console.log(`${stremioId} : Searching torrents ...`);
 
-    const sortSearch = [['seeders', true]];
+    const filterRelease = createReleaseFilter(userConfig);
+    const filterSize = createSizeFilter(userConfig, metaInfos.runtime);
+    const filterRules = createRulesFilter(userConfig.filterRules, type);
+    const filterRelevance = createRelevanceFilter(metaInfos);
+    // Packs are checked with the estimated size of an episode, the episode file size is checked once torrent infos are known
+    const searchSize = (torrent) => type == 'series' && torrent.release?.episodes.length != 1 && !torrent.release?.date ? estimateEpisodeSize(torrent, metaInfos.episodes) : torrent.size;
+    const fileSize = (torrent) => getFile(torrent.infos.files || [], type, metaInfos)?.size || torrent.size;
+    // Search results are ranked with the estimated size, torrents with infos with the file size
+    const searchScore = createScorer(userConfig, {runtime: metaInfos.runtime, sizeOf: searchSize});
+    const fileScore = createScorer(userConfig, {runtime: metaInfos.runtime, sizeOf: fileSize});
     const filterSearch = (torrent) => {
       if(!qualities.includes(torrent.quality))return false;
+      if(!filterRelease(torrent))return false;
+      if(!filterSize(torrent, searchSize(torrent)))return false;
       const torrentWords = parseWords(torrent.name.toLowerCase());
       if(excludeKeywords.find(word => torrentWords.includes(word)))return false;
+      if(!filterRules(torrent))return false;
+      if(!filterRelevance(torrent))return false;
+      // Private trackers can't be shared with Stremio peers
+      if(debridInstance?.p2p && torrent.type == 'private')return false;
       return true;
     };
-    const filterLanguage = (torrent) => {
-      if(priotizeLanguages.length == 0)return true;
-      return torrent.languages.find(lang => ['multi'].concat(priotizeLanguages).includes(lang.value));
-    };
-    const filterYear = (torrent) => !torrent.year || torrent.year == year;
-    const filterSlowIndexer = (indexer) => config.slowIndexerRequest <= 0 || getSlowIndexerStats(indexer.id).count < config.slowIndexerRequest;
+    // Daily shows releases carry the air date year
+    const filterYear = (torrent) => metaInfos.isDaily || !torrent.year || torrent.year == year;
+    const filterHealthyIndexer = (indexer) => indexerHealth.isAvailable(indexer.id);
 
     let indexers = (await jackett.getIndexers());
     let availableIndexers = indexers.filter(indexer => indexer.searching[type].available);
-    let availableFastIndexers = availableIndexers.filter(filterSlowIndexer);
-    if(availableFastIndexers.length)availableIndexers = availableFastIndexers;
+    let availableHealthyIndexers = availableIndexers.filter(filterHealthyIndexer);
+    if(availableHealthyIndexers.length)availableIndexers = availableHealthyIndexers;
     let userIndexers = availableIndexers.filter(indexer => (userConfig.indexers.includes(indexer.id) || userConfig.indexers.includes('all')));
 
     if(userIndexers.length){
@@ -136,22 +182,21 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
 
     if(type == 'movie'){
 
-      const promises = indexers.map(indexer => timeoutIndexerSearch(indexer.id, jackett.searchMovieTorrents({...metaInfos, indexer: indexer.id}), indexerTimeoutSec*1000));
+      const promises = indexers.map(indexer => timeoutIndexerSearch(indexer.id, jackett.searchMovieTorrents({...metaInfos, ...indexerSearchOptions(indexer, type, indexerTimeoutSec*1000)}), indexerTimeoutSec*1000));
       torrents = [].concat(...(await Promise.all(promises)));
 
       console.log(`${stremioId} : ${torrents.length} torrents found in ${(new Date() - startDate) / 1000}s`);
 
       const yearTorrents = torrents.filter(filterYear);
       if(yearTorrents.length)torrents = yearTorrents;
-      torrents = torrents.filter(filterSearch).sort(sortBy(...sortSearch));
-      torrents = priotizeItems(torrents, filterLanguage, Math.max(1, Math.round(maxTorrents * 0.33)));
+      torrents = sortByScore(dedupeTorrents(torrents.filter(filterSearch), userConfig.priorityIndexers), searchScore);
       torrents = torrents.slice(0, maxTorrents + 2);
 
     }else if(type == 'series'){
 
-      const episodesPromises = indexers.map(indexer => timeoutIndexerSearch(indexer.id, jackett.searchEpisodeTorrents({...metaInfos, indexer: indexer.id}), indexerTimeoutSec*1000));
+      const episodesPromises = indexers.map(indexer => timeoutIndexerSearch(indexer.id, jackett.searchEpisodeTorrents({...metaInfos, ...indexerSearchOptions(indexer, type, indexerTimeoutSec*1000)}), indexerTimeoutSec*1000));
       // const packsPromises = indexers.map(indexer => promiseTimeout(jackett.searchSeasonTorrents({...metaInfos, indexer: indexer.id}), indexerTimeoutSec*1000).catch(err => []));
-      const packsPromises = indexers.map(indexer => timeoutIndexerSearch(indexer.id, jackett.searchSerieTorrents({...metaInfos, indexer: indexer.id}), indexerTimeoutSec*1000));
+      const packsPromises = indexers.map(indexer => timeoutIndexerSearch(indexer.id, jackett.searchSerieTorrents({...metaInfos, ...indexerSearchOptions(indexer, type, indexerTimeoutSec*1000)}), indexerTimeoutSec*1000));
 
       const episodesTorrents = [].concat(...(await Promise.all(episodesPromises))).filter(filterSearch);
       // const packsTorrents = [].concat(...(await Promise.all(packsPromises))).filter(torrent => filterSearch(torrent) && parseWords(torrent.name.toUpperCase()).includes(`S${numberPad(season)}`));
@@ -176,6 +221,14 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
         if(words.includes('complete') && !wordsStr.match(/ (s[\d]{2,}|season [\d]) /)){
           return true;
         }
+        // Anime batch or absolute episodes range: "Batch", "01-26", "001 ~ 1054"
+        if(isAnime){
+          const absoluteRange = torrent.name.match(/(?:^|[\s\[(])(\d{1,4}) ?[-~] ?(\d{1,4})(?:[\s\])]|$)/);
+          if(absoluteRange && absoluteEpisode >= parseInt(absoluteRange[1]) && absoluteEpisode <= parseInt(absoluteRange[2])){
+            return true;
+          }
+          if(words.includes('batch'))return true;
+        }
         return false;
       });
 
@@ -185,12 +238,14 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
 
       const yearTorrents = torrents.filter(filterYear);
       if(yearTorrents.length)torrents = yearTorrents;
-      torrents = torrents.filter(filterSearch).sort(sortBy(...sortSearch));
-      torrents = priotizeItems(torrents, filterLanguage, Math.max(1, Math.round(maxTorrents * 0.33)));
-      torrents = torrents.slice(0, maxTorrents + 2);
+      torrents = sortByScore(dedupeTorrents(torrents.filter(filterSearch), userConfig.priorityIndexers), searchScore);
+      const uniquePacksTorrents = packsTorrents.filter(torrent => torrents.includes(torrent));
+
+      playedPack = debridInstance ? await cache.get(await playedPackKey(debridInstance, stremioId)) : null;
+      torrents = pinPlayedPack(torrents).slice(0, maxTorrents + 2);
 
-      if(priotizePackTorrents > 0 && packsTorrents.length && !torrents.find(t => packsTorrents.includes(t))){
-        const bestPackTorrents = packsTorrents.slice(0, Math.min(packsTorrents.length, priotizePackTorrents));
+      if(priotizePackTorrents > 0 && uniquePacksTorrents.length && !torrents.find(t => uniquePacksTorrents.includes(t))){
+        const bestPackTorrents = uniquePacksTorrents.slice(0, Math.min(uniquePacksTorrents.length, priotizePackTorrents));
         torrents.splice(bestPackTorrents.length * -1, bestPackTorrents.length, ...bestPackTorrents);
       }
 
@@ -201,17 +256,24 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
 
     const limit = pLimit(5);
     torrents = await Promise.all(torrents.map(torrent => limit(async () => {
-      try {
-        torrent.infos = await promiseTimeout(torrentInfos.get(torrent), Math.min(30, indexerTimeoutSec)*1000);
-        return torrent;
-      }catch(err){
-        console.log(`${stremioId} Failed getting torrent infos for ${torrent.id} from indexer ${torrent.indexerId}`);
-        console.log(`${stremioId} ${torrent.link.replace(/apikey=[a-z0-9\-]+/, 'apikey=****')}`, err);
-        return false;
+      // Fallback on the same release from other indexers
+      for(const copy of [torrent, ...(torrent.alternates || [])]){
+        try {
+          copy.infos = await promiseTimeout(torrentInfos.get(copy), Math.min(30, indexerTimeoutSec)*1000);
+          return copy;
+        }catch(err){
+          console.log(`${stremioId} Failed getting torrent infos for ${copy.id} from indexer ${copy.indexerId}`);
+          console.log(`${stremioId} ${copy.link.replace(/apikey=[a-z0-9\-]+/, 'apikey=****')}`, err);
+        }
       }
+      return false;
     })));
     torrents = torrents.filter(torrent => torrent && torrent.infos)
       .filter((torrent, index, items) => items.findIndex(t => t.infos.infoHash == torrent.infos.infoHash) === index)
+      // Packs without a file matching the episode are removed
+      .filter(torrent => type != 'series' || !torrent.infos.files?.length || getFile(torrent.infos.files, type, metaInfos))
+      .filter(torrent => !debridInstance?.p2p || !torrent.infos.private)
+      .filter(torrent => filterSize(torrent, fileSize(torrent)))
       .slice(0, maxTorrents);
 
     console.log(`${stremioId} : ${torrents.length} torrents infos found in ${(new Date() - startDate) / 1000}s`);
@@ -220,11 +282,11 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
       throw new Error(`No torrent infos for type ${type} and id ${stremioId}`);
     }
 
-    if(debridInstance){
+    if(debridInstance && !debridInstance.p2p){
 
       try {
 
-        const isValidCachedFiles = type == 'series' ? files => !!searchEpisodeFile(files, season, episode) : files => true;
+        const isValidCachedFiles = type == 'series' ? files => !!getFile(files, type, metaInfos) : files => true;
         const cachedTorrents = (await debridInstance.getTorrentsCached(torrents, isValidCachedFiles)).map(torrent => {
           torrent.isCached = true;
           return torrent;
@@ -242,11 +304,10 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
 
         console.log(`${stremioId} : ${cachedTorrents.length} cached torrents on ${debridInstance.shortName}`);
 
-        torrents = priotizeItems(cachedTorrents.sort(sortBy(...sortCached)), filterLanguage);
-
-        if(!userConfig.hideUncached || !debrid.cacheCheckAvailable){
-          torrents.push(...priotizeItems(uncachedTorrents.sort(sortBy(...sortUncached)), filterLanguage));
-        }
+        // Cached torrents are always listed first, each group ranked by score
+        const showUncached = !userConfig.hideUncached || !debridInstance.cacheCheckAvailable;
+        torrents = sortByScore(cachedTorrents, fileScore).concat(showUncached ? sortByScore(uncachedTorrents, fileScore) : []);
+        torrents = pinPlayedPack(torrents);
       
         const progress = await debridInstance.getProgressTorrents(torrents);
         torrents.forEach(torrent => torrent.progress = progress[torrent.infos.infoHash] || null);
@@ -276,38 +337,89 @@ async function getTorrents(userConfig, metaInfos, debridInstance){
 
 }
 
-async function prepareNextEpisode(userConfig, metaInfos, debridInstance){
+async function prepareNextEpisodes(userConfig, metaInfos, debridInstance){
 
   try {
 
     const {stremioId} = metaInfos;
-    const nextEpisodeIndex = metaInfos.episodes.findIndex(e => e.episode == metaInfos.episode && e.season == metaInfos.season) + 1;
-    const nextEpisode = metaInfos.episodes[nextEpisodeIndex] || false;
+    // Only the next episode search is warmed on each stream request, nextEpisodesCount applies to the debrid cache
+    const count = userConfig.forceCacheNextEpisode ? Math.max(1, Math.min(config.nextEpisodesMaxCount, parseInt(userConfig.nextEpisodesCount) || 1)) : 1;
+    const nextEpisodeIndex = metaInfos.episodes.findIndex(e => e.stremioId == stremioId) + 1;
+    const nextEpisodes = nextEpisodeIndex > 0 ? metaInfos.episodes.slice(nextEpisodeIndex, nextEpisodeIndex + count) : [];
+    // Episodes covered by a torrent already added on debrid (pack)
+    const preparedEpisodes = [];
+    // Searches are shared by all viewers of the show (search results are cached), debrid adds are per user
+    const keyPrefix = userConfig.forceCacheNextEpisode ? await debridInstance.getUserHash() : 'search';
 
-    if(nextEpisode){
+    for(const nextEpisode of nextEpisodes){
 
-      metaInfos = await meta.getEpisodeById(metaInfos.id, nextEpisode.season, nextEpisode.episode, userConfig.metaLanguage);
-      const torrents = await getTorrents(userConfig, metaInfos, debridInstance);
+      const key = `${keyPrefix}:${nextEpisode.stremioId}`;
+      if(preparedEpisodes.includes(nextEpisode) || actionInProgress.prepareNextEpisode[key])continue;
+      actionInProgress.prepareNextEpisode[key] = true;
+
+      try {
+
+        const nextMetaInfos = await getMetaInfos('series', nextEpisode.stremioId, userConfig.metaLanguage);
+        const torrents = await getTorrents(userConfig, nextMetaInfos, debridInstance);
+
+        // Cache next episodes on debrid when not cached, packs covering the most upcoming episodes first
+        if(userConfig.forceCacheNextEpisode && torrents.length && !torrents.find(torrent => torrent.isCached)){
+          const remainingEpisodes = nextEpisodes.slice(nextEpisodes.indexOf(nextEpisode));
+          const coveredEpisodes = (torrent) => remainingEpisodes.filter(e => getFile(torrent.infos.files || [], 'series', {...e, isDaily: nextMetaInfos.isDaily}));
+          const bestTorrent = torrents.filter(torrent => !torrent.disabled)
+            .map(torrent => ({torrent, episodes: coveredEpisodes(torrent)}))
+            .sort((a, b) => b.episodes.length - a.episodes.length)[0];
+          if(bestTorrent){
+            console.log(`${stremioId} : Force cache next episodes (${bestTorrent.episodes.map(e => e.episode).join(', ') || nextMetaInfos.episode}) on debrid`);
+            preparedEpisodes.push(...bestTorrent.episodes);
+            await addDebridTorrent(userConfig, bestTorrent.torrent.infos, debridInstance);
+          }
+        }
+
+      }catch(err){
+
+        if(err.message != debrid.ERROR.NOT_READY){
+          console.log('cache next episode:', err);
+        }
+
+      }finally{
+
+        delete actionInProgress.prepareNextEpisode[key];
 
-      // Cache next episode on debrid when not cached
-      if(userConfig.forceCacheNextEpisode && torrents.length && !torrents.find(torrent => torrent.isCached)){
-        console.log(`${stremioId} : Force cache next episode (${metaInfos.episode}) on debrid`);
-        const bestTorrent = torrents.find(torrent => !torrent.disabled);
-        if(bestTorrent)await getDebridFiles(userConfig, bestTorrent.infos, debridInstance);
       }
 
     }
 
   }catch(err){
 
-    if(err.message != debrid.ERROR.NOT_READY){
-      console.log('cache next episode:', err);
-    }
+    console.log('cache next episode:', err);
 
   }
 
 }
 
+async function addDebridTorrent(userConfig, infos, debridInstance){
+
+  const userHash = await debridInstance.getUserHash();
+  const now = Date.now();
+  debridLimiters.forEach((limiter, key) => {
+    limiter.dates = limiter.dates.filter(date => date > now - 3600 * 1000);
+    if(!limiter.dates.length && !limiter.limit.activeCount && !limiter.limit.pendingCount)debridLimiters.delete(key);
+  });
+  if(!debridLimiters.has(userHash))debridLimiters.set(userHash, {limit: pLimit(1), dates: []});
+  const limiter = debridLimiters.get(userHash);
+
+  return limiter.limit(() => {
+    limiter.dates = limiter.dates.filter(date => date > Date.now() - 3600 * 1000);
+    if(limiter.dates.length >= config.nextEpisodesDebridLimit){
+      throw new Error(`Debrid limit of ${config.nextEpisodesDebridLimit} torrents per hour reached for next episodes`);
+    }
+    limiter.dates.push(Date.now());
+    return getDebridFiles(userConfig, infos, debridInstance);
+  });
+
+}
+
 async function getDebridFiles(userConfig, infos, debridInstance){
 
   if(infos.magnetUrl){
@@ -345,19 +457,19 @@ async function getDebridFiles(userConfig, infos, debridInstance){
 
 }
 
-function getFile(files, type, season, episode){
-  files = files.sort(sortBy('size', true));
+// Biggest video file for movies, the episode file for series (null when not found in the pack),
+// episodeInfos: {season, episode, absoluteEpisode, airDate, isDaily}, the biggest video when the episode is unknown
+function getFile(files, type, episodeInfos){
   if(type == 'movie'){
-    return files[0];
+    return findLargestVideo(files);
   }else if(type == 'series'){
-    return searchEpisodeFile(files, season, episode) || files[0];
+    return findEpisodeFile(files, episodeInfos);
   }
 }
 
 export async function getStreams(userConfig, type, stremioId, publicUrl){
 
   userConfig = await mergeDefaultUserConfig(userConfig);
-  const {id, season, episode} = parseStremioId(stremioId);
   const debridInstance = debrid.instance(userConfig);
 
   let metaInfos = await getMetaInfos(type, stremioId, userConfig.metaLanguage);
@@ -365,29 +477,52 @@ export async function getStreams(userConfig, type, stremioId, publicUrl){
   const torrents = await getTorrents(userConfig, metaInfos, debridInstance);
 
   // Prepare next expisode torrents list
-  if(type == 'series'){
-    prepareNextEpisode({...userConfig, forceCacheNextEpisode: false}, metaInfos, debridInstance);
+  if(type == 'series' && !debridInstance.p2p){
+    prepareNextEpisodes({...userConfig, forceCacheNextEpisode: false}, metaInfos, debridInstance);
   }
 
   return torrents.map(torrent => {
-    const file = getFile(torrent.infos.files || [], type, season, episode) || {};
+    const file = getFile(torrent.infos.files || [], type, metaInfos);
     const quality = torrent.quality > 0 ? config.qualities.find(q => q.value == torrent.quality).label : '';
     const rows = [torrent.name];
-    if(type == 'series' && file.name)rows.push(file.name);
+    if(type == 'series' && file?.name)rows.push(file.name);
+    const release = releaseParser.format(torrent.release);
+    if(release)rows.push(`🎞️ ${release}`);
     if(torrent.infoText)rows.push(`ℹ️ ${torrent.infoText}`);
-    rows.push([`💾${bytesToSize(file.size || torrent.size)}`, `👥${torrent.seeders}`, `⚙️${torrent.indexerId}`, ...(torrent.languages || []).map(language => language.emoji)].join(' '));
+    rows.push([`💾${bytesToSize(file?.size || torrent.size)}`, `👥${torrent.seeders}`, `⚙️${torrent.indexerId}`, ...(torrent.languages || []).map(language => language.emoji)].join(' '));
+    if(torrent.subtitles?.length)rows.push(`💬 ${torrent.subtitles.map(language => language.emoji).join(' ')}`);
     if(torrent.progress && !torrent.isCached){
       rows.push(`⬇️ ${torrent.progress.percent}% ${bytesToSize(torrent.progress.speed)}/s`);
     }
-    return {
+    const stream = {
       name: `[${debridInstance.shortName}${torrent.isCached ? '+' : ''}] ${userConfig.enableMediaFlow ? '🕵🏼‍♂️ ' : ''}${config.addonName} ${quality}`,
       title: rows.join("\n"),
-      url: torrent.disabled ? '#' : `${publicUrl}/${btoa(JSON.stringify(userConfig))}/download/${type}/${stremioId}/${torrent.id}/${file.name || torrent.name}`
+      behaviorHints: {
+        bingeGroup: getBingeGroup(torrent)
+      }
     };
+    // Disabled torrents are listed without source, like the debrid ones
+    if(debridInstance.p2p && !torrent.disabled){
+      return Object.assign(stream, getP2PSource(torrent.infos, file));
+    }
+    stream.url = torrent.disabled ? '#' : `${publicUrl}/${btoa(JSON.stringify(userConfig))}/download/${type}/${stremioId}/${torrent.id}/${file?.name || torrent.name}`;
+    return stream;
   });
 
 }
 
+// Stremio torrent source {infoHash, fileIdx, sources} of a file (the biggest file by default),
+// the file index is unknown for magnets without metadata, Stremio plays the biggest file
+export function getP2PSource(infos, file){
+  const files = infos.files || [];
+  const fileIdx = files.indexOf(file || getFile(files, 'movie'));
+  return {
+    infoHash: infos.infoHash,
+    ...(fileIdx >= 0 ? {fileIdx} : {}),
+    sources: [...(infos.announce || []).map(tracker => `tracker:${tracker}`), `dht:${infos.infoHash}`]
+  };
+}
+
 export async function getDownload(userConfig, type, stremioId, torrentId){
 
   userConfig = await mergeDefaultUserConfig(userConfig);
@@ -409,18 +544,48 @@ export async function getDownload(userConfig, type, stremioId, torrentId){
     // Prepare next expisode debrid cache
     // Skip meta lookup for jkt IDs (custom meta) - they don't have valid meta sources
     if(type == 'series' && userConfig.forceCacheNextEpisode && !stremioId.startsWith('jkt')){
-      getMetaInfos(type, stremioId, userConfig.metaLanguage).then(metaInfos => prepareNextEpisode(userConfig, metaInfos, debridInstance));
+      getMetaInfos(type, stremioId, userConfig.metaLanguage).then(metaInfos => prepareNextEpisodes(userConfig, metaInfos, debridInstance));
     }
 
     download = await cache.get(cacheKey);
     if(download)return download;
 
+    // Anime ids are numbered by absolute episode, their season / episode come from meta
+    const hasMeta = type == 'series' && !stremioId.startsWith('jkt');
+    const getEpisodeInfos = () => getMetaInfos(type, stremioId, userConfig.metaLanguage).catch(err => {
+      console.log(`${stremioId} : meta not available, absolute episode ignored : ${err.message || err}`);
+      return meta.isAnimeId(stremioId) ? {season: 1, episode, absoluteEpisode: episode} : episodeInfos;
+    });
+    let episodeInfos = {season, episode, absoluteEpisode: 0};
+    if(hasMeta && meta.isAnimeId(stremioId)){
+      episodeInfos = await getEpisodeInfos();
+    }
+
     console.log(`${stremioId} : ${debridInstance.shortName} : ${infos.infoHash} : get files ...`);
     files = await getDebridFiles(userConfig, infos, debridInstance);
     console.log(`${stremioId} : ${debridInstance.shortName} : ${infos.infoHash} : ${files.length} files found`);
 
 
-    download = await debridInstance.getDownload(getFile(files, type, season, episode));
+    // Debrid files names have no folders, the paths ("Season 1/05.mkv") come from the torrent infos (and sizes when unknown)
+    files = files.map(file => {
+      const infosFile = (infos.files || []).find(f => f.name == file.name && (!file.size || f.size == file.size)) || {};
+      return {path: infosFile.path, ...file, size: file.size || infosFile.size || 0};
+    });
+    let file = getFile(files, type, episodeInfos);
+    // Files named by absolute episode (anime) need the meta, only requested when the episode is not found
+    if(!file && hasMeta && !meta.isAnimeId(stremioId)){
+      episodeInfos = await getEpisodeInfos();
+      file = getFile(files, type, episodeInfos);
+    }
+    if(!file){
+      throw new Error(`No file for episode S${numberPad(episodeInfos.season)}E${numberPad(episodeInfos.episode)} in torrent ${torrentId}`);
+    }
+
+    download = await debridInstance.getDownload(file);
+
+    if(download && type == 'series' && isPack({infos})){
+      await cache.set(await playedPackKey(debridInstance, stremioId), {id: torrentId, infoHash: infos.infoHash}, {ttl: 86400 * 7});
+    }
 
     if(download){
       download = applyMediaflowProxyIfNeeded(download, userConfig);
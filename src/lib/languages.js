@@ -0,0 +1,112 @@
+import config from './config.js';
+
+// Words marking the next (or previous) language as subtitles: "SUB ITA", "ENG SUBS", "Multi-Subs"
+const SUBTITLE_MARKERS = [
+  'sub', 'subs', 'subbed', 'subtitle', 'subtitles', 'subtitled', 'vost',
+  'sottotitoli', 'sottotitolato', 'untertitel', 'subtitulado', 'subtitulos', 'hardsub', 'softsub'
+];
+
+// Languages of config.languages and the ones added by admin patterns (config.languagePatterns)
+export const LANGUAGES = [
+  ...config.languages,
+  ...config.languagePatterns
+    .filter(({language, emoji}) => emoji && !config.languages.find(lang => lang.value == language))
+    .filter(({language}, index, patterns) => patterns.findIndex(p => p.language == language) === index)
+    .map(({language, emoji, iso639}) => ({
+      value: language,
+      emoji,
+      iso639: iso639 || '',
+      label: `${emoji} ${language.charAt(0).toUpperCase() + language.slice(1)}`
+    }))
+];
+
+const PATTERNS = config.languagePatterns
+  .filter(({language, pattern}) => pattern && LANGUAGES.find(lang => lang.value == language))
+  .map(({language, type, pattern}) => {
+    try {
+      return {
+        language: LANGUAGES.find(lang => lang.value == language),
+        type: type == 'subtitles' ? 'subtitles' : 'audio',
+        regex: new RegExp(pattern, 'i')
+      };
+    }catch(err){
+      console.log(`Invalid language pattern "${pattern}", ignored: ${err.message}`);
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+// word => {language, kind: 'audio' | 'weak' | 'subtitles'}
+const TOKENS = LANGUAGES.reduce((tokens, language) => {
+  (language.tokens || []).forEach(token => tokens[token] = {language, kind: 'audio'});
+  (language.weakTokens || []).forEach(token => tokens[token] = {language, kind: 'weak'});
+  (language.subtitleTokens || []).forEach(token => tokens[token] = {language, kind: 'subtitles'});
+  return tokens;
+}, {});
+
+// Audio and subtitles languages of a torrent name:
+// "Movie.2020.MULTi.VFF.1080p" => audio multi, french
+// "Movie.2020.VOSTFR.1080p" => subtitles french
+// "Movie 2020 ITA-ENG Sub ITA 1080p" => audio italian, english, subtitles italian
+// "Movie 2020 Dual Audio Multi-Subs" => audio multi, subtitles multi
+export function detect(name){
+
+  const words = `${name || ''}`.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const isMarker = (index) => SUBTITLE_MARKERS.includes(words[index]);
+  const isLanguage = (index) => !!TOKENS[words[index]];
+  const audio = [];
+  const subtitles = [];
+
+  words.forEach((word, index) => {
+    const token = TOKENS[word];
+    if(!token)return;
+    if(token.kind == 'weak' && !isLanguage(index - 1) && !isLanguage(index + 1) && !isMarker(index - 1) && !isMarker(index + 1)){
+      return;
+    }
+    if(token.kind == 'subtitles' || isSubtitle(words, index)){
+      subtitles.push(token.language);
+    }else{
+      audio.push(token.language);
+    }
+  });
+
+  PATTERNS.forEach(({language, type, regex}) => {
+    if(regex.test(name))(type == 'subtitles' ? subtitles : audio).push(language);
+  });
+
+  const unique = (languages) => languages.filter((language, index) => languages.indexOf(language) === index);
+
+  return {
+    audio: unique(audio),
+    subtitles: unique(subtitles)
+  };
+
+}
+
+// Audio or subtitles language word ("multi", "french", "vostfr"), short ambiguous codes excluded
+export function isLanguageToken(word){
+  const token = TOKENS[`${word || ''}`.toLowerCase()];
+  return !!token && token.kind != 'weak';
+}
+
+// priotizeLanguages values are audio languages ("french") or subtitles languages ("sub:french"),
+// a multi audio torrent matches all audio languages
+export function matchLanguages(torrent, priotizeLanguages){
+  return !!(priotizeLanguages || []).find(value => {
+    if(value.startsWith('sub:')){
+      return !!(torrent.subtitles || []).find(lang => [value.substring(4), 'multi'].includes(lang.value));
+    }
+    return !!(torrent.languages || []).find(lang => [value, 'multi'].includes(lang.value));
+  });
+}
+
+// A language right after a subtitles marker ("SUB ITA", "Subs ITA-ENG") or right before
+// when the marker has no language after it ("ENG SUBS" but not "ITA-ENG Sub ITA")
+function isSubtitle(words, index){
+  if(SUBTITLE_MARKERS.includes(words[index + 1]) && !TOKENS[words[index + 2]])return true;
+  for(let i = index - 1; i >= 0; i--){
+    if(SUBTITLE_MARKERS.includes(words[i]))return true;
+    if(!TOKENS[words[i]])return false;
+  }
+  return false;
+}
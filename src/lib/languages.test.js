@@ -0,0 +1,51 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LANGUAGE_PATTERNS = JSON.stringify([
+  {language: 'french', type: 'audio', pattern: '\\bVOF\\b'},
+  {language: 'catalan', emoji: '🏴', type: 'subtitles', pattern: '\\bsubcat\\b'},
+  {language: 'german', pattern: '(unclosed'},
+  {language: 'klingon', pattern: '\\bKLI\\b'}
+]);
+const {detect, matchLanguages, LANGUAGES} = await import('./languages.js');
+
+const values = (languages) => languages.map(language => language.value);
+const detected = (name) => {
+  const {audio, subtitles} = detect(name);
+  return {audio: values(audio), subtitles: values(subtitles)};
+};
+
+test('subtitles marker applies to the language after it, or before it when none follows', () => {
+  assert.deepEqual(detected('Movie 2020 ITA-ENG Sub ITA 1080p'), {audio: ['italian', 'english'], subtitles: ['italian']});
+  assert.deepEqual(detected('Movie 2020 ITA ENG-SUBS 1080p'), {audio: ['italian'], subtitles: ['english']});
+  assert.deepEqual(detected('Movie 2020 Dual Audio Multi-Subs'), {audio: ['multi'], subtitles: ['multi']});
+  assert.deepEqual(detected('Movie.2020.VOSTFR.1080p'), {audio: [], subtitles: ['french']});
+});
+
+test('"St" (saint, street) before a language is not a subtitles marker', () => {
+  assert.deepEqual(detected('Miracle.on.34th.St.FRENCH.1080p'), {audio: ['french'], subtitles: []});
+  assert.deepEqual(detected('Movie.2020.ST.ITA.ENG.1080p'), {audio: ['italian', 'english'], subtitles: []});
+});
+
+test('short codes only count next to another language or a marker', () => {
+  assert.deepEqual(detected('Movie.2020.DE.1080p'), {audio: [], subtitles: []});
+  assert.deepEqual(detected('Movie.2020.DE.EN.1080p'), {audio: ['german', 'english'], subtitles: []});
+  assert.deepEqual(detected('Movie.2020.1080p.Sub.EN'), {audio: [], subtitles: ['english']});
+  assert.deepEqual(detected('Les.Miserables.2012.1080p.BluRay'), {audio: [], subtitles: []});
+});
+
+test('admin patterns add languages, invalid patterns and unknown languages are ignored', () => {
+  assert.ok(LANGUAGES.find(language => language.value == 'catalan'));
+  assert.equal(LANGUAGES.find(language => language.value == 'klingon'), undefined);
+  assert.deepEqual(detected('Movie.2020.VOF.subcat.1080p'), {audio: ['french'], subtitles: ['catalan']});
+  assert.deepEqual(detected('Movie.2020.(unclosed.KLI.1080p'), {audio: [], subtitles: []});
+});
+
+test('prioritized languages, multi matches every audio language', () => {
+  const {audio, subtitles} = detect('Movie.2020.MULTi.VOSTFR.1080p');
+  const torrent = {languages: audio, subtitles};
+  assert.equal(matchLanguages(torrent, ['german']), true);
+  assert.equal(matchLanguages(torrent, ['sub:french']), true);
+  assert.equal(matchLanguages(torrent, ['sub:german']), false);
+  assert.equal(matchLanguages({}, ['french']), false);
+});
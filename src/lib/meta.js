@@ -1,17 +1,52 @@
 import config from './config.js';
 import Cinemeta from './meta/cinemeta.js';
 import Tmdb from './meta/tmdb.js';
+import Kitsu from './meta/kitsu.js';
 
 const client = config.tmdbAccessToken ? new Tmdb() : new Cinemeta();
+const animeClient = new Kitsu();
+
+export const ANIME_ID_PREFIXES = ['kitsu', 'mal'];
+
+export function isAnimeId(id){
+  return ANIME_ID_PREFIXES.includes(`${id}`.split(':').shift());
+}
 
 export async function getMovieById(id, language){
+  if(isAnimeId(id))return animeClient.getMovieById(id);
   return client.getMovieById(id, language);
 }
 
 export async function getEpisodeById(id, season, episode, language){
-  return client.getEpisodeById(id, season, episode, language);
+  if(isAnimeId(id))return animeClient.getEpisodeById(id, season, episode);
+  const meta = await client.getEpisodeById(id, season, episode, language);
+  return {
+    ...meta,
+    absoluteEpisode: meta.isAnime ? getAbsoluteEpisode(meta.episodes, season, episode) : 0,
+    isDaily: !meta.isAnime && (meta.isDaily || isDailySeason(meta.episodes, season))
+  };
 }
 
 export async function getLanguages(){
   return client.getLanguages();
-}
\ No newline at end of file
+}
+
+// Alternative titles (search query variants, relevance check) are only given by TMDB
+export function hasAliases(){
+  return client.constructor.hasAliases;
+}
+
+// Shows not tagged as talk show / news by the provider but with a daily release: 100+ episodes in a season
+function isDailySeason(episodes, season){
+  return (episodes || []).filter(e => e.season == season).length > 100;
+}
+
+// Episode number counted from the first episode of the first season (specials excluded),
+// anime releases are often named with it ("Show - 1054")
+function getAbsoluteEpisode(episodes, season, episode){
+  const index = (episodes || [])
+    .filter(e => e.season > 0)
+    .sort((a, b) => a.season - b.season || a.episode - b.episode)
+    .findIndex(e => e.season == season && e.episode == episode);
+  return index === -1 ? episode : index + 1;
+}
@@ -1,9 +1,11 @@
 import cache from '../cache.js';
 
+// Cinemeta has no alternative titles, searches only use the original title (aliases need TMDB)
 export default class Cinemeta {
 
   static id = 'cinemeta';
   static name = 'Cinemeta';
+  static hasAliases = false;
 
   async getMovieById(id){
     
@@ -12,10 +14,13 @@ export default class Cinemeta {
 
     return {
       name: meta.name,
+      aliases: [],
       year: parseInt(meta.releaseInfo),
+      runtime: parseInt(meta.runtime) || 0,
       imdb_id: meta.imdb_id,
       type: 'movie',
       stremioId: id,
+      isAnime: this.#isAnime(meta),
       id,
     };
 
@@ -25,23 +30,30 @@ export default class Cinemeta {
 
     const data = await this.#request('GET', `/meta/series/${id}.json`, {}, {key: id, ttl: 3600*3});
     const meta = data.meta;
+    const episodes = meta.videos.map(video => {
+      return {
+        season: video.season,
+        episode: video.number,
+        airDate: `${video.released || ''}`.substring(0, 10),
+        stremioId: video.id
+      }
+    });
 
     return {
       name: meta.name,
+      aliases: [],
       year: parseInt(`${meta.releaseInfo}`.split('-').shift()),
+      runtime: parseInt(meta.runtime) || 0,
       imdb_id: meta.imdb_id,
       type: 'series',
       stremioId: `${id}:${season}:${episode}`,
+      isAnime: this.#isAnime(meta),
+      isDaily: this.#isDaily(meta),
       id,
       season,
       episode,
-      episodes: meta.videos.map(video => {
-        return {
-          season: video.season,
-          episode: video.number,
-          stremioId: video.id
-        }
-      })
+      airDate: episodes.find(e => e.season == season && e.episode == episode)?.airDate || '',
+      episodes
     };
 
   }
@@ -50,6 +62,16 @@ export default class Cinemeta {
     return [];
   }
 
+  // Japanese animation
+  #isAnime(meta){
+    return (meta.genres || meta.genre || []).includes('Animation') && `${meta.country || ''}`.includes('Japan');
+  }
+
+  // Talk shows and news, released by air date ("Show 2026 10 14")
+  #isDaily(meta){
+    return !!(meta.genres || meta.genre || []).find(genre => ['Talk-Show', 'Talk Show', 'News'].includes(genre));
+  }
+
   async #request(method, path, opts, cacheOpts){
 
     cacheOpts = Object.assign({key: '', ttl: 0}, cacheOpts || {});
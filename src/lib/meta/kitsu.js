@@ -0,0 +1,103 @@
+import cache from '../cache.js';
+
+// Anime meta (kitsu:ID and mal:ID ids) from the anime-kitsu addon, episodes are
+// numbered by Kitsu (absolute numbering) and mapped to the IMDb season / episode.
+export default class Kitsu {
+
+  static id = 'kitsu';
+  static name = 'Kitsu';
+
+  async getMovieById(id){
+
+    const data = await this.#request('GET', `/meta/movie/${id}.json`, {}, {key: id, ttl: 3600*3});
+    const meta = data.meta;
+
+    return {
+      name: meta.name,
+      aliases: (meta.aliases || []).filter(alias => alias != meta.name),
+      year: parseInt(meta.year || meta.releaseInfo),
+      runtime: parseInt(meta.runtime) || 0,
+      imdb_id: meta.imdb_id || '',
+      type: 'movie',
+      stremioId: id,
+      isAnime: true,
+      id,
+    };
+
+  }
+
+  // episode is the Kitsu episode number, season is ignored
+  async getEpisodeById(id, season, episode){
+
+    const data = await this.#request('GET', `/meta/series/${id}.json`, {}, {key: id, ttl: 3600*3});
+    const meta = data.meta;
+    const episodes = (meta.videos || []).map(video => {
+      return {
+        season: video.imdbSeason || video.season || 1,
+        episode: video.imdbEpisode || video.episode,
+        absoluteEpisode: video.episode,
+        airDate: `${video.released || ''}`.substring(0, 10),
+        stremioId: video.id
+      }
+    });
+    const current = episodes.find(e => e.absoluteEpisode == episode) || {season: 1, episode, absoluteEpisode: episode};
+
+    return {
+      name: meta.name,
+      aliases: (meta.aliases || []).filter(alias => alias != meta.name),
+      year: parseInt(`${meta.year || meta.releaseInfo}`.split('-').shift()),
+      runtime: parseInt(meta.runtime) || 0,
+      imdb_id: meta.imdb_id || '',
+      type: 'series',
+      stremioId: `${id}:${episode}`,
+      isAnime: true,
+      isDaily: false,
+      id,
+      season: current.season,
+      episode: current.episode,
+      absoluteEpisode: current.absoluteEpisode,
+      airDate: current.airDate || '',
+      episodes
+    };
+
+  }
+
+  async getLanguages(){
+    return [];
+  }
+
+  async #request(method, path, opts, cacheOpts){
+
+    cacheOpts = Object.assign({key: '', ttl: 0}, cacheOpts || {});
+    opts = opts || {};
+    opts = Object.assign(opts, {
+      method,
+      headers: Object.assign(opts.headers || {}, {
+        'accept': 'application/json'
+      })
+    });
+
+    let data;
+
+    if(cacheOpts.key){
+      data = await cache.get(`kitsu:${cacheOpts.key}`);
+      if(data)return data;
+    }
+
+    const url = `https://anime-kitsu.strem.fun${path}`;
+    const res = await fetch(url, opts);
+    data = await res.json();
+
+    if(!res.ok || !data?.meta){
+      throw new Error(`Invalid Kitsu api result: ${JSON.stringify(data)}`);
+    }
+
+    if(data && cacheOpts.key && cacheOpts.ttl > 0){
+      await cache.set(`kitsu:${cacheOpts.key}`, data, {ttl: cacheOpts.ttl})
+    }
+
+    return data;
+
+  }
+
+}
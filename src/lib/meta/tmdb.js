@@ -1,22 +1,29 @@
 import cache from '../cache.js';
 import config from '../config.js';
+import {LANGUAGES} from '../languages.js';
 
 export default class Tmdb {
 
   static id = 'tmdb';
   static name = 'The Movie Database';
+  static hasAliases = true;
 
   async getMovieById(id, language){
     
     const searchId = await this.#request('GET', `/3/find/${id}`, {query: {external_source: 'imdb_id', language: language || 'en-US'}}, {key: `searchId:${id}:${language || '-'}`, ttl: 3600*3});
     const meta = searchId.movie_results[0];
+    const details = await this.#request('GET', `/3/movie/${meta.id}`, {query: {append_to_response: 'alternative_titles,translations'}}, {key: `movie:${meta.id}`, ttl: 3600*3});
+    const name = language ? meta.title || meta.original_title : meta.original_title || meta.title;
 
     return {
-      name: language ? meta.title || meta.original_title : meta.original_title || meta.title,
+      name,
+      aliases: this.#getAliases(name, [meta.title, meta.original_title], details.alternative_titles?.titles, details.translations?.translations, language),
       year: parseInt(`${meta.release_date}`.split('-').shift()),
+      runtime: details.runtime || 0,
       imdb_id: id,
       type: 'movie',
       stremioId: id,
+      isAnime: this.#isAnime(details),
       id,
     };
 
@@ -25,7 +32,9 @@ export default class Tmdb {
   async getEpisodeById(id, season, episode, language){
 
     const searchId = await this.#request('GET', `/3/find/${id}`, {query: {external_source: 'imdb_id'}}, {key: `searchId:${id}`, ttl: 3600*3});
-    const meta = await this.#request('GET', `/3/tv/${searchId.tv_results[0].id}`, {query: {language: language || 'en-US'}}, {key: `${id}:${language}`, ttl: 3600*3});
+    const meta = await this.#request('GET', `/3/tv/${searchId.tv_results[0].id}`, {query: {language: language || 'en-US', append_to_response: 'alternative_titles,translations'}}, {key: `${id}:${language}:aliases`, ttl: 3600*3});
+    // Air dates are only in season details, loaded for the requested season
+    const seasonDetails = await this.#request('GET', `/3/tv/${meta.id}/season/${season}`, {}, {key: `${id}:season:${season}`, ttl: 3600*3}).catch(err => ({}));
 
     const episodes = [];
     meta.seasons.forEach(s => {
@@ -33,27 +42,59 @@ export default class Tmdb {
         episodes.push({
           season: s.season_number,
           episode: e,
+          airDate: s.season_number == season ? (seasonDetails.episodes || []).find(ep => ep.episode_number == e)?.air_date || '' : '',
           stremioId: `${id}:${s.season_number}:${e}`
         });
       }
     });
 
+    const name = language ? meta.name || meta.original_name : meta.original_name || meta.name;
+
     return {
-      name: language ? meta.name || meta.original_name : meta.original_name || meta.name,
+      name,
+      aliases: this.#getAliases(name, [meta.name, meta.original_name], meta.alternative_titles?.results, meta.translations?.translations, language),
       year: parseInt(`${meta.first_air_date}`.split('-').shift()),
+      runtime: (meta.episode_run_time || [])[0] || meta.last_episode_to_air?.runtime || 0,
       imdb_id: id,
       type: 'series',
       stremioId: `${id}:${season}:${episode}`,
+      isAnime: this.#isAnime(meta),
+      isDaily: this.#isDaily(meta),
       id,
       season,
       episode,
+      airDate: episodes.find(e => e.season == season && e.episode == episode)?.airDate || '',
       episodes
     };
 
   }
 
   async getLanguages(){
-    return [{value: '', label: '🌎Original (Recommended)'}].concat(...config.languages.map(language => ({value: language.iso639, label: language.label})).filter(language => language.value));
+    return [{value: '', label: '🌎Original (Recommended)'}].concat(...LANGUAGES.map(language => ({value: language.iso639, label: language.label})).filter(language => language.value));
+  }
+
+  // Japanese animation
+  #isAnime(details){
+    return details.original_language == 'ja' && !!(details.genres || []).find(genre => genre.id == 16);
+  }
+
+  // Talk shows and news, released by air date ("Show 2026 10 14")
+  #isDaily(details){
+    return ['Talk Show', 'News'].includes(details.type) || !!(details.genres || []).find(genre => [10763, 10767].includes(genre.id));
+  }
+
+  // Main titles, english / user language translations and US / GB alternative titles
+  #getAliases(name, titles, alternativeTitles, translations, language){
+    const languages = ['en', (language || '').split('-').shift()].filter(Boolean);
+    const aliases = [
+      ...titles,
+      ...(translations || []).filter(t => languages.includes(t.iso_639_1)).map(t => t.data?.title || t.data?.name),
+      ...(alternativeTitles || []).filter(t => ['US', 'GB'].includes(t.iso_3166_1)).map(t => t.title)
+    ];
+    return aliases
+      .filter(alias => alias && alias != name)
+      .filter((alias, index, list) => list.indexOf(alias) === index)
+      .slice(0, 5);
   }
 
   async #request(method, path, opts, cacheOpts){
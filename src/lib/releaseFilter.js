@@ -0,0 +1,29 @@
+import config from './config.js';
+
+// Filters on the parsed release attributes (torrent.release) from the user config:
+// excludeSources, excludeCodecs, excludeDolbyVisionOnly, remuxOnlyQualities, blockedGroups
+// The server blockedGroups always apply, the user can only add groups
+export function createReleaseFilter(userConfig){
+
+  const blockedGroups = config.blockedGroups.concat(userConfig.blockedGroups || []).map(group => `${group}`.toLowerCase());
+  const excludeSources = userConfig.excludeSources || [];
+  const excludeCodecs = userConfig.excludeCodecs || [];
+  const remuxOnlyQualities = (userConfig.remuxOnlyQualities || []).map(quality => parseInt(quality));
+
+  return (torrent) => {
+    const release = torrent.release;
+    if(!release)return true;
+    if(release.group && blockedGroups.includes(release.group.toLowerCase()))return false;
+    if(release.source && excludeSources.includes(release.source))return false;
+    if(release.codec && excludeCodecs.includes(release.codec))return false;
+    if(userConfig.excludeDolbyVisionOnly && isDolbyVisionOnly(release))return false;
+    if(remuxOnlyQualities.includes(torrent.quality) && release.source != 'remux')return false;
+    return true;
+  };
+
+}
+
+// Dolby Vision without HDR10 / HDR10+ fallback layer, not playable on non DV devices
+export function isDolbyVisionOnly(release){
+  return release.hdr.includes('dv') && !release.hdr.find(hdr => ['hdr', 'hdr10', 'hdr10+'].includes(hdr));
+}
@@ -0,0 +1,240 @@
+import {isLanguageToken} from './languages.js';
+
+// Release name parser: "Movie.2019.2160p.UHD.BluRay.REMUX.HDR10.DV.HEVC.TrueHD.Atmos.7.1-GROUP"
+// Patterns are matched on the raw name, "." "_" "-" " " "[" "(" are all separators.
+
+// A token not part of a bigger word
+function token(pattern){
+  return new RegExp(`(?<![a-z0-9])(?:${pattern})(?![a-z0-9])`, 'i');
+}
+
+// Audio tokens are often glued to the channels: "DDP5.1", "AAC2.0"
+function audioToken(pattern){
+  return new RegExp(`(?<![a-z0-9])(?:${pattern})(?![a-z])`, 'i');
+}
+
+// Ordered by priority, the first matching source wins (a REMUX is also a BluRay)
+export const SOURCES = [
+  {value: 'remux', label: 'REMUX', pattern: token('(bd|uhd|bluray|blu-ray)?[ .-]?remux')},
+  {value: 'bluray', label: 'BluRay', pattern: token('blu-?ray|bdrip|brrip|bd(25|50|66|100)|uhd[ .-]?bd|bd')},
+  {value: 'webdl', label: 'WEB-DL', pattern: token('web[ ._-]?dl')},
+  {value: 'webrip', label: 'WEBRip', pattern: token('web[ ._-]?rip')},
+  {value: 'web', label: 'WEB', pattern: token('web')},
+  {value: 'hdtv', label: 'HDTV', pattern: token('hdtv|pdtv|sdtv|dsr|tvrip|hdtvrip')},
+  {value: 'dvd', label: 'DVD', pattern: token('dvd[ .-]?rip|dvd[ .-]?r|dvd(5|9)?|vhsrip')},
+  {value: 'scr', label: 'SCR', pattern: token('dvd[ .-]?scr|screener|scr|bdscr|webscr')},
+  {value: 'tc', label: 'TC', pattern: token('telecine|hd[ .-]?tc|tc')},
+  {value: 'ts', label: 'TS', pattern: token('telesync|hd[ .-]?ts|ts[ .-]?rip|pdvd|ts')},
+  {value: 'cam', label: 'CAM', pattern: token('cam[ .-]?rip|hd[ .-]?cam|cam')}
+];
+
+export const CODECS = [
+  {value: 'av1', label: 'AV1', pattern: token('av1')},
+  {value: 'hevc', label: 'HEVC', pattern: token('[xh][ .]?265|hevc')},
+  {value: 'avc', label: 'x264', pattern: token('[xh][ .]?264|avc')},
+  {value: 'vp9', label: 'VP9', pattern: token('vp9')},
+  {value: 'xvid', label: 'XviD', pattern: token('xvid|divx')}
+];
+
+export const HDR = [
+  {value: 'dv', label: 'DV', pattern: token('dv|dovi|dolby[ .-]?vision')},
+  {value: 'hdr10+', label: 'HDR10+', pattern: token('hdr10(\\+|plus)')},
+  {value: 'hdr10', label: 'HDR10', pattern: new RegExp(`(?<![a-z0-9])hdr10(?![a-z0-9+])`, 'i')},
+  {value: 'hdr', label: 'HDR', pattern: token('hdr')},
+  {value: 'hlg', label: 'HLG', pattern: token('hlg')}
+];
+
+// "DTS" is skipped when "DTS-HD" is found, Atmos is an extension of TrueHD / DD+
+export const AUDIO = [
+  {value: 'truehd', label: 'TrueHD', pattern: audioToken('true[ .-]?hd')},
+  {value: 'dtsx', label: 'DTS:X', pattern: audioToken('dts[ .:-]?x')},
+  {value: 'dtshd', label: 'DTS-HD', pattern: audioToken('dts[ .-]?hd([ .-]?ma)?|dts[ .-]?ma')},
+  {value: 'dts', label: 'DTS', pattern: audioToken('dts')},
+  {value: 'eac3', label: 'DD+', pattern: audioToken('ddp|dd\\+|e-?ac-?3')},
+  {value: 'ac3', label: 'DD', pattern: audioToken('dd|ac-?3|dolby[ .-]?digital')},
+  {value: 'aac', label: 'AAC', pattern: audioToken('aac')},
+  {value: 'flac', label: 'FLAC', pattern: audioToken('flac')},
+  {value: 'opus', label: 'Opus', pattern: audioToken('opus')},
+  {value: 'mp3', label: 'MP3', pattern: audioToken('mp3')},
+  {value: 'atmos', label: 'Atmos', pattern: audioToken('atmos')}
+];
+
+export const EDITIONS = [
+  {value: 'extended', label: 'Extended', pattern: token('extended([ .-]?(cut|edition))?')},
+  {value: 'directors', label: 'Director\'s Cut', pattern: token('director\'?s?[ .-]?cut')},
+  {value: 'unrated', label: 'Unrated', pattern: token('unrated')},
+  {value: 'uncut', label: 'Uncut', pattern: token('uncut|uncensored')},
+  {value: 'theatrical', label: 'Theatrical', pattern: token('theatrical([ .-]?cut)?')},
+  {value: 'imax', label: 'IMAX', pattern: token('imax')},
+  {value: 'remastered', label: 'Remastered', pattern: token('remaster(ed)?')},
+  {value: 'criterion', label: 'Criterion', pattern: token('criterion')},
+  {value: 'final', label: 'Final Cut', pattern: token('final[ .-]?cut')},
+  {value: 'special', label: 'Special Edition', pattern: token('special[ .-]?edition')}
+];
+
+const QUALITY_PATTERN = /(2160|1080|720|480|360)p/i;
+const UHD_PATTERN = token('4k|uhd');
+const THREE_D_PATTERN = token('3d|h[ .-]?sbs|half[ .-]?sbs|sbs|h[ .-]?ou|half[ .-]?ou');
+const REPACK_PATTERN = token('repack\\d?|rerip');
+const PROPER_PATTERN = token('proper');
+const CHANNELS_PATTERN = /(?<!\d)(?<!\d\.)([1-8])[ .]([01])(?!\d)/;
+const BIT_DEPTH_PATTERN = /(?<![a-z0-9])(8|10|12)[ .-]?bits?(?![a-z0-9])|(?<![a-z0-9])hi10p?(?![a-z0-9])/i;
+const COMPLETE_PATTERN = token('complete|integrale|intégrale|completa');
+// Title ends before the first of these tokens (the year is handled apart)
+const TITLE_END_PATTERNS = [
+  QUALITY_PATTERN,
+  UHD_PATTERN,
+  COMPLETE_PATTERN,
+  token('s\\d{1,2}([ .]?e\\d{1,4})*|\\d{1,2}x\\d{2,3}|(seasons?|saisons?|temporadas?|stagion[ei])[ .]?\\d{1,2}'),
+  // Air date "Name 14.10.2026"
+  /(?<![0-9])\d{2}[ ._-]\d{2}[ ._-](?:19|20)\d{2}(?![0-9])/,
+  // Anime absolute episode "Name - 1054"
+  /\s-\s\d{1,4}(?![a-z0-9])/i,
+  /[\[(]/,
+  REPACK_PATTERN,
+  PROPER_PATTERN,
+  ...SOURCES.map(({pattern}) => pattern),
+  ...CODECS.map(({pattern}) => pattern),
+  ...EDITIONS.map(({pattern}) => pattern)
+];
+
+export function parse(name){
+
+  name = `${name || ''}`;
+  const find = (list) => list.find(item => item.pattern.test(name))?.value || '';
+  const filter = (list) => list.filter(item => item.pattern.test(name)).map(item => item.value);
+
+  const quality = name.match(QUALITY_PATTERN);
+  const channels = name.match(CHANNELS_PATTERN);
+  const bitDepth = name.match(BIT_DEPTH_PATTERN);
+
+  const hdr = filter(HDR);
+  const audio = filter(AUDIO);
+
+  return {
+    title: parseTitle(name),
+    quality: quality ? parseInt(quality[1]) : (UHD_PATTERN.test(name) ? 2160 : 0),
+    year: parseYear(name),
+    source: find(SOURCES),
+    codec: find(CODECS),
+    // HDR10 implies HDR, HDR10+ implies HDR10
+    hdr: hdr.filter(value => !(value == 'hdr' && hdr.find(v => v.startsWith('hdr10'))) && !(value == 'hdr10' && hdr.includes('hdr10+'))),
+    audio: audio.filter(value => !(value == 'dts' && (audio.includes('dtshd') || audio.includes('dtsx')))),
+    channels: channels ? `${channels[1]}.${channels[2]}` : '',
+    bitDepth: bitDepth ? parseInt(bitDepth[1] || 10) : 0,
+    group: parseGroup(name),
+    is3D: THREE_D_PATTERN.test(name),
+    repack: REPACK_PATTERN.test(name),
+    proper: PROPER_PATTERN.test(name),
+    editions: filter(EDITIONS),
+    date: parseDate(name),
+    ...parseEpisodes(name)
+  };
+
+}
+
+// Short summary displayed in stream titles: "REMUX HEVC 10bit DV HDR10 TrueHD Atmos 7.1"
+export function format(release){
+  if(!release)return '';
+  const label = (list, value) => list.find(item => item.value == value)?.label || '';
+  return [
+    label(SOURCES, release.source),
+    label(CODECS, release.codec),
+    release.bitDepth > 8 ? `${release.bitDepth}bit` : '',
+    ...release.hdr.map(value => label(HDR, value)),
+    ...release.audio.map(value => label(AUDIO, value)),
+    release.channels,
+    release.is3D ? '3D' : '',
+    ...release.editions.map(value => label(EDITIONS, value)),
+    release.repack ? 'REPACK' : '',
+    release.proper ? 'PROPER' : '',
+    release.group ? `-${release.group}` : ''
+  ].filter(Boolean).join(' ');
+}
+
+// Last year of the name, a resolution or a title like "1917" before it are ignored
+function parseYear(name){
+  const years = [...name.matchAll(/(?<![a-z0-9])(19\d{2}|20\d{2})(?![0-9]|p)/gi)].map(match => parseInt(match[1]));
+  return years.length ? years.pop() : 0;
+}
+
+// Name before the year and the release tokens: "The.Movie.2019.1080p" => "The Movie",
+// "Blade.Runner.2049.2017.1080p" => "Blade Runner 2049", anime "[GROUP] Name - 01 (1080p)" => "Name"
+function parseTitle(name){
+  name = name.replace(/^\s*\[[^\]]*\]\s*/, '');
+  const years = [...name.matchAll(/(?<![a-z0-9])(19\d{2}|20\d{2})(?![0-9]|p)/gi)].filter(match => match.index > 0);
+  const ends = [
+    years.length ? years.pop().index : -1,
+    languageIndex(name),
+    ...TITLE_END_PATTERNS.map(pattern => name.search(pattern))
+  ].filter(index => index > 0);
+  const title = ends.length ? name.substring(0, Math.min(...ends)) : name.replace(/\.[a-z0-9]{2,4}$/i, '');
+  return title.replace(/[._]+/g, ' ').replace(/[\s\-([]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+// Language tags end the title when written in capitals: "Inception.MULTi.1080p", "Movie.FRENCH.720p",
+// title words are not: "The.English.Patient.1996"
+function languageIndex(name){
+  const match = [...name.matchAll(/[\p{L}\p{N}]+/gu)]
+    .find(([word]) => /\p{Lu}.*\p{Lu}/u.test(word) && isLanguageToken(word));
+  return match ? match.index : -1;
+}
+
+// Air date of daily shows "Show.2026.10.14", "Show 14.10.2026" => "2026-10-14"
+function parseDate(name){
+  const ymd = name.match(/(?<![0-9])((?:19|20)\d{2})[ ._-](\d{2})[ ._-](\d{2})(?![0-9])/);
+  const dmy = name.match(/(?<![0-9])(\d{2})[ ._-](\d{2})[ ._-]((?:19|20)\d{2})(?![0-9])/);
+  const [year, month, day] = ymd ? [ymd[1], ymd[2], ymd[3]] : (dmy ? [dmy[3], dmy[2], dmy[1]] : []);
+  if(!year || parseInt(month) < 1 || parseInt(month) > 12 || parseInt(day) < 1 || parseInt(day) > 31)return '';
+  return `${year}-${month}-${day}`;
+}
+
+// "Name-GROUP", "Name-GROUP.mkv", "Name-GROUP[rarbg]" or anime "[GROUP] Name"
+function parseGroup(name){
+  name = name.replace(/\.[a-z0-9]{2,4}$/i, '').replace(/(\[[^\]]*\]|\([^)]*\))\s*$/, '').trim();
+  const anime = name.match(/^\[([^\]]+)\]/);
+  if(anime)return anime[1].trim();
+  const group = name.match(/-\s?([a-z0-9][a-z0-9_]*)$/i);
+  if(!group || /^(dl|rip|hd|ma|x|\d+)$/i.test(group[1]))return '';
+  return group[1];
+}
+
+// Seasons / episodes numbers: S01E02, S01E02E03, S01E02-E05, 1x02, S01-S03, Season 1-3, Complete
+function parseEpisodes(name){
+
+  const seasons = [];
+  const episodes = [];
+  const range = (from, to) => {
+    from = parseInt(from);
+    to = Math.max(from, Math.min(parseInt(to || from), from + 2000));
+    return Array.from({length: to - from + 1}, (v, index) => from + index);
+  };
+
+  for(const match of name.matchAll(/(?<![a-z0-9])s(\d{1,2})[ .]?e(\d{1,4})((?:-?e\d{1,4}|-\d{1,4})*)(?!\d)/gi)){
+    const numbers = [match[2], ...(match[3].match(/\d+/g) || [])].map(n => parseInt(n));
+    seasons.push(parseInt(match[1]));
+    episodes.push(...range(Math.min(...numbers), Math.max(...numbers)));
+  }
+
+  for(const match of name.matchAll(/(?<![a-z0-9])(\d{1,2})x(\d{2,3})(?![a-z0-9])/gi)){
+    seasons.push(parseInt(match[1]));
+    episodes.push(parseInt(match[2]));
+  }
+
+  for(const match of name.matchAll(/(?<![a-z0-9])s(\d{1,2})(?:[ .]?-[ .]?s?(\d{1,2}))?(?![a-z0-9])/gi)){
+    seasons.push(...range(match[1], match[2]));
+  }
+
+  for(const match of name.matchAll(/(?<![a-z])(?:seasons?|saisons?|temporadas?|stagion[ei])[ .]?(\d{1,2})(?:[ .]?(?:-|to|à|a|al)[ .]?(\d{1,2}))?(?![0-9])/gi)){
+    seasons.push(...range(match[1], match[2]));
+  }
+
+  const unique = (numbers) => numbers.filter((n, index) => numbers.indexOf(n) === index).sort((a, b) => a - b);
+
+  return {
+    seasons: unique(seasons),
+    episodes: unique(episodes),
+    complete: COMPLETE_PATTERN.test(name)
+  };
+
+}
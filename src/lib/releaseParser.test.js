@@ -0,0 +1,51 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parse, format} from './releaseParser.js';
+
+// name => expected subset of parse(name)
+const RELEASES = [
+  ['Movie.2019.2160p.UHD.BluRay.REMUX.HDR10.DV.HEVC.TrueHD.Atmos.7.1-GROUP', {
+    title: 'Movie', quality: 2160, year: 2019, source: 'remux', codec: 'hevc',
+    hdr: ['dv', 'hdr10'], audio: ['truehd', 'atmos'], channels: '7.1', group: 'GROUP'
+  }],
+  ['Blade.Runner.2049.2017.1080p.WEB-DL.DDP5.1.H.264-NTb', {
+    title: 'Blade Runner 2049', quality: 1080, year: 2017, source: 'webdl', codec: 'avc', audio: ['eac3'], channels: '5.1', group: 'NTb'
+  }],
+  ['Movie.2020.1080p.BluRay.DTS-HD.MA.5.1.x264-GRP', {source: 'bluray', audio: ['dtshd'], channels: '5.1', group: 'GRP'}],
+  ['Movie.2020.HDR10Plus.2160p.WEB', {hdr: ['hdr10+'], quality: 2160, source: 'web'}],
+  ['Movie.2020.4K.10bit.HDR.WEBRip', {quality: 2160, bitDepth: 10, hdr: ['hdr'], source: 'webrip'}],
+  ['Movie.2020.3D.HSBS.1080p.BluRay', {is3D: true}],
+  ['Movie.2020.Directors.Cut.REPACK.PROPER.1080p', {editions: ['directors'], repack: true, proper: true}],
+  ['Movie.2020.HDCAM.x264', {source: 'cam'}],
+  ['The.Office.US.S02E03.720p.HDTV.x264-LOL', {title: 'The Office US', seasons: [2], episodes: [3], source: 'hdtv', group: 'LOL'}],
+  ['Show.S01E01E02.1080p', {title: 'Show', seasons: [1], episodes: [1, 2]}],
+  ['Show.S01E01-E03.1080p', {title: 'Show', seasons: [1], episodes: [1, 2, 3]}],
+  ['Show.2x05.720p', {title: 'Show', seasons: [2], episodes: [5]}],
+  ['Show.S01-S03.COMPLETE.1080p.WEBRip.x265-GRP', {title: 'Show', seasons: [1, 2, 3], episodes: [], complete: true, codec: 'hevc'}],
+  ['Show Season 1-2 1080p', {title: 'Show', seasons: [1, 2]}],
+  ['[SubsPlease] One Piece - 1054 (1080p) [ABCD1234].mkv', {title: 'One Piece', quality: 1080, group: 'SubsPlease'}],
+  ['The.Daily.Show.2026.10.14.Guest.720p.WEB.h264-JEBAITED', {title: 'The Daily Show', date: '2026-10-14', group: 'JEBAITED'}],
+  ['Show 14.10.2026 1080p', {title: 'Show', date: '2026-10-14'}],
+  ['Movie.2020.1080p.WEB-DL', {date: '', group: ''}],
+  ['Inception.MULTi.1080p.BluRay.x264-GRP', {title: 'Inception', quality: 1080}],
+  ['Inception.FRENCH.720p.HDTV', {title: 'Inception'}],
+  ['Inception.EXTENDED.1080p', {title: 'Inception', editions: ['extended']}],
+  ['Inception.REPACK.1080p.WEB', {title: 'Inception', repack: true}],
+  ['The.English.Patient.1996.1080p', {title: 'The English Patient'}],
+  ['the.french.dispatch.1080p', {title: 'the french dispatch'}]
+];
+
+test('parse release names', () => {
+  for(const [name, expected] of RELEASES){
+    const release = parse(name);
+    for(const [key, value] of Object.entries(expected)){
+      assert.deepEqual(release[key], value, `${name} : ${key}`);
+    }
+  }
+});
+
+test('format release summary', () => {
+  const release = parse('Movie.2019.2160p.UHD.BluRay.REMUX.HDR10.DV.HEVC.10bit.TrueHD.Atmos.7.1-GROUP');
+  assert.equal(format(release), 'REMUX HEVC 10bit DV HDR10 TrueHD Atmos 7.1 -GROUP');
+  assert.equal(format(null), '');
+});
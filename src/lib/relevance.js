@@ -0,0 +1,65 @@
+import config from './config.js';
+
+// Leading articles and trailing country codes are ignored: "The Office (US)" == "Office"
+const ARTICLES = ['the', 'a', 'an'];
+const COUNTRIES = ['us', 'uk', 'au', 'nz', 'ca'];
+
+// Checks the release title (torrent.release.title) against the meta name and aliases.
+// When the indexer gives the IMDb id of the result (torrent.imdb), it is used instead,
+// results of an imdbid query (torrent.searchedByImdb) are not checked.
+// Anime releases are often named with a romanized or english title, the title of an anime
+// is only checked when its aliases are known (Kitsu, TMDB), not with Cinemeta.
+export function createRelevanceFilter(metaInfos, threshold){
+
+  threshold = threshold ?? config.relevanceThreshold;
+  const imdbId = normalizeImdbId(metaInfos.imdb_id);
+  const titles = [metaInfos.name, ...(metaInfos.aliases || [])].map(normalize).filter(Boolean);
+  const checkTitle = !metaInfos.isAnime || titles.length > 1;
+
+  return (torrent) => {
+    if(threshold <= 0 || !titles.length)return true;
+    const torrentImdbId = normalizeImdbId(torrent.imdb);
+    if(imdbId && torrentImdbId)return imdbId == torrentImdbId;
+    if(torrent.searchedByImdb || !checkTitle)return true;
+    const title = torrent.release?.title;
+    if(!title)return true;
+    // Titles ending with a year: "Blade Runner 2049 1080p" is parsed as "Blade Runner" of 2049
+    const withYear = normalize(`${title} ${torrent.release.year || ''}`);
+    return titles.some(metaTitle => metaTitle == withYear || similarity(normalize(title), metaTitle) >= threshold);
+  };
+
+}
+
+// Torznab imdb attribute is the number without "tt" ("0133093"), sometimes as an integer
+function normalizeImdbId(id){
+  const number = `${id || ''}`.replace(/^tt/i, '');
+  return /^\d+$/.test(number) && parseInt(number) > 0 ? `tt${number.padStart(7, '0')}` : '';
+}
+
+function normalize(title){
+  const words = `${title || ''}`.toLowerCase()
+    .normalize('NFD').replace(/\p{M}/gu, '')
+    .replace(/&/g, ' and ')
+    .replace(/'/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  if(words.length > 1 && ARTICLES.includes(words[0]))words.shift();
+  if(words.length > 1 && COUNTRIES.includes(words[words.length - 1]))words.pop();
+  return words.join(' ');
+}
+
+// 1 - Levenshtein distance / length of the longest string
+function similarity(a, b){
+  if(a == b)return 1;
+  const longest = Math.max(a.length, b.length);
+  if(!longest)return 1;
+  let previous = Array.from({length: b.length + 1}, (v, index) => index);
+  for(let i = 1; i <= a.length; i++){
+    const current = [i];
+    for(let j = 1; j <= b.length; j++){
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / longest;
+}
@@ -0,0 +1,65 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createRelevanceFilter} from './relevance.js';
+import {parse} from './releaseParser.js';
+
+const relevant = (metaInfos, title, extra = {}) => createRelevanceFilter(metaInfos, 0.75)({name: title, release: {title, year: 0}, ...extra});
+
+test('articles, country codes, accents and punctuation are ignored', () => {
+  assert.equal(relevant({name: 'The Matrix'}, 'Matrix'), true);
+  assert.equal(relevant({name: 'The Office (US)'}, 'Office'), true);
+  assert.equal(relevant({name: 'Amélie'}, 'Amelie'), true);
+  assert.equal(relevant({name: "Grey's Anatomy"}, 'Greys Anatomy'), true);
+  assert.equal(relevant({name: 'Law & Order'}, 'Law and Order'), true);
+});
+
+test('sequels and other titles are rejected', () => {
+  assert.equal(relevant({name: 'The Matrix'}, 'The Matrix Reloaded'), false);
+  assert.equal(relevant({name: 'Alien'}, 'Aliens vs Predator'), false);
+  assert.equal(relevant({name: 'La casa de papel'}, 'Money Heist'), false);
+  assert.equal(relevant({name: 'La casa de papel', aliases: ['Money Heist']}, 'Money Heist'), true);
+});
+
+test('title ending with a number parsed as the year', () => {
+  const filter = createRelevanceFilter({name: 'Blade Runner 2049'}, 0.75);
+  assert.equal(filter({release: {title: 'Blade Runner', year: 2049}}), true);
+  assert.equal(filter({release: {title: 'Blade Runner', year: 1982}}), false);
+});
+
+test('IMDb id of the result replaces the title check', () => {
+  const metaInfos = {name: 'The Matrix', imdb_id: 'tt0133093'};
+  assert.equal(relevant(metaInfos, 'Whatever', {imdb: '0133093'}), true);
+  assert.equal(relevant(metaInfos, 'Whatever', {imdb: 133093}), true);
+  assert.equal(relevant(metaInfos, 'The Matrix', {imdb: 'tt0234215'}), false);
+  assert.equal(relevant(metaInfos, 'The Matrix', {imdb: '0'}), true);
+});
+
+test('nothing to compare or disabled check keep the result', () => {
+  assert.equal(createRelevanceFilter({name: 'The Matrix'}, 0.75)({name: 'The.Matrix.1999', release: null}), true);
+  assert.equal(createRelevanceFilter({name: ''}, 0.75)({release: {title: 'Another Movie'}}), true);
+  assert.equal(createRelevanceFilter({name: 'The Matrix'}, 0)({release: {title: 'Another Movie'}}), true);
+});
+
+test('language, edition and repack tokens end the parsed title', () => {
+  const filter = createRelevanceFilter({name: 'Inception'}, 0.75);
+  for(const name of ['Inception.MULTi.1080p.BluRay.x264-GRP', 'Inception.FRENCH.720p.HDTV', 'Inception.EXTENDED.1080p', 'Inception.REPACK.1080p.WEB']){
+    assert.equal(filter({name, release: parse(name)}), true, name);
+  }
+});
+
+test('results of an imdbid query are trusted unless they give another id', () => {
+  const metaInfos = {name: 'Inception', imdb_id: 'tt1375666'};
+  assert.equal(relevant(metaInfos, 'Origine', {searchedByImdb: true}), true);
+  assert.equal(relevant(metaInfos, 'Origine', {searchedByImdb: true, imdb: '0133093'}), false);
+  assert.equal(relevant(metaInfos, 'Origine'), false);
+});
+
+test('anime titles are only checked against known aliases', () => {
+  const cinemeta = {name: 'Attack on Titan', aliases: [], isAnime: true, imdb_id: 'tt2560140'};
+  assert.equal(relevant(cinemeta, 'Shingeki no Kyojin'), true);
+  assert.equal(relevant(cinemeta, 'Shingeki no Kyojin', {imdb: '0388629'}), false);
+
+  const kitsu = {name: 'Attack on Titan', aliases: ['Shingeki no Kyojin'], isAnime: true};
+  assert.equal(relevant(kitsu, 'Shingeki no Kyojin'), true);
+  assert.equal(relevant(kitsu, 'One Piece'), false);
+});
@@ -0,0 +1,80 @@
+import config from './config.js';
+import {matchLanguages} from './languages.js';
+
+const GB = 1024 * 1024 * 1024;
+const DAY = 24 * 3600 * 1000;
+
+// Source ranking, unknown sources are in the middle
+const SOURCE_SCORES = {
+  remux: 1,
+  bluray: 0.9,
+  webdl: 0.8,
+  webrip: 0.7,
+  web: 0.7,
+  hdtv: 0.5,
+  dvd: 0.4,
+  scr: 0.2,
+  tc: 0.15,
+  ts: 0.1,
+  cam: 0
+};
+
+// Each criterion gives a value between 0 and 1, multiplied by its weight
+export const CRITERIA = [
+  {key: 'resolution', label: 'Resolution'},
+  {key: 'seeders', label: 'Seeders'},
+  {key: 'size', label: 'Size close to target'},
+  {key: 'language', label: 'Preferred languages'},
+  {key: 'group', label: 'Preferred release groups'},
+  {key: 'source', label: 'Source (Remux, BluRay, WEB ...)'},
+  {key: 'indexer', label: 'Priority indexers'},
+  {key: 'age', label: 'Recent release'}
+];
+
+// Weights of the user preset (userConfig.scorePreset) overridden by userConfig.scoreWeights,
+// the target size (GB per hour of runtime) is userConfig.scoreTargetGbPerHour or the preset one.
+export function getWeights(userConfig){
+  const preset = config.scorePresets.find(preset => preset.value == userConfig.scorePreset) || config.scorePresets[0];
+  const weights = Object.assign({}, preset.weights, userConfig.scoreWeights || {});
+  CRITERIA.forEach(({key}) => weights[key] = Math.max(0, parseFloat(weights[key]) || 0));
+  return {
+    weights,
+    targetGbPerHour: parseFloat(userConfig.scoreTargetGbPerHour) || preset.targetGbPerHour
+  };
+}
+
+// sizeOf(torrent) returns the size to score: the episode file size for packs when known
+export function createScorer(userConfig, {runtime, sizeOf}){
+
+  const {weights, targetGbPerHour} = getWeights(userConfig);
+  const languages = userConfig.priotizeLanguages || [];
+  const groups = (userConfig.preferredGroups || []).map(group => `${group}`.toLowerCase());
+  const indexers = userConfig.priorityIndexers || [];
+  const targetSize = targetGbPerHour * (runtime || 60) / 60;
+  const now = Date.now();
+
+  const criteria = {
+    resolution: (torrent) => Math.min(1, (torrent.quality || 0) / 2160),
+    seeders: (torrent) => Math.min(1, Math.log10((torrent.seeders || 0) + 1) / 3),
+    // 1 on the target, 0 at 8 times bigger or smaller
+    size: (torrent) => {
+      const size = (sizeOf ? sizeOf(torrent) : torrent.size) / GB;
+      if(!size || !targetSize)return 0;
+      return Math.max(0, 1 - Math.abs(Math.log2(size / targetSize)) / 3);
+    },
+    language: (torrent) => matchLanguages(torrent, languages) ? 1 : 0,
+    group: (torrent) => groups.length && torrent.release?.group && groups.includes(torrent.release.group.toLowerCase()) ? 1 : 0,
+    source: (torrent) => SOURCE_SCORES[torrent.release?.source] ?? 0.5,
+    indexer: (torrent) => indexers.includes(torrent.indexerId) ? 1 : 0,
+    age: (torrent) => torrent.publishDate ? Math.max(0, 1 - (now - torrent.publishDate) / (365 * DAY)) : 0
+  };
+
+  return (torrent) => CRITERIA.reduce((score, {key}) => score + (weights[key] ? weights[key] * criteria[key](torrent) : 0), 0);
+
+}
+
+// Sort by descending score, scores are computed once per torrent
+export function sortByScore(torrents, score){
+  const scores = new Map(torrents.map(torrent => [torrent, score(torrent)]));
+  return torrents.sort((a, b) => scores.get(b) - scores.get(a));
+}
@@ -0,0 +1,36 @@
+const GB = 1024 * 1024 * 1024;
+
+// Size limits per quality from the user config, sizes in GB, 0 or empty = no limit:
+// sizeLimits: {2160: {minSize: 4, maxSize: 60, minGbPerHour: 2, maxGbPerHour: 30}}
+// The bitrate limits (GB per hour) are only checked when the runtime (minutes) is known.
+export function createSizeFilter(userConfig, runtime){
+
+  const sizeLimits = userConfig.sizeLimits || {};
+
+  return (torrent, size) => {
+    const limits = sizeLimits[torrent.quality];
+    if(!limits || !size)return true;
+    const gb = size / GB;
+    if(limits.minSize > 0 && gb < limits.minSize)return false;
+    if(limits.maxSize > 0 && gb > limits.maxSize)return false;
+    if(runtime > 0){
+      const gbPerHour = gb / (runtime / 60);
+      if(limits.minGbPerHour > 0 && gbPerHour < limits.minGbPerHour)return false;
+      if(limits.maxGbPerHour > 0 && gbPerHour > limits.maxGbPerHour)return false;
+    }
+    return true;
+  };
+
+}
+
+// Size of one episode of a pack, estimated from the episodes or seasons in the release name
+// and the episodes count of these seasons in meta. 0 when the pack content is unknown.
+export function estimateEpisodeSize(torrent, episodes){
+  const {seasons, episodes: releaseEpisodes, complete} = torrent.release || {};
+  if(releaseEpisodes?.length)return torrent.size / releaseEpisodes.length;
+  const packEpisodes = (episodes || []).filter(episode => {
+    if(episode.season <= 0)return false;
+    return seasons?.length ? seasons.includes(episode.season) : !!complete;
+  });
+  return packEpisodes.length ? torrent.size / packEpisodes.length : 0;
+}
@@ -8,6 +8,8 @@ import config from './config.js';
 
 const TORRENT_FOLDER = `${config.dataFolder}/torrents`;
 const CACHE_FILE_DAYS = 7;
+// Cached infos of a previous version miss fields (v2: announce, files path), they are parsed again
+const CACHE_KEY_PREFIX = 'torrentInfos:v2';
 
 export async function createTorrentFolder(){
   return mkdir(TORRENT_FOLDER).catch(() => false);
@@ -41,7 +43,8 @@ export async function get({link, id, magnetUrl, infoHash, name, size, type}){
       infoHash, 
       name, 
       length: size, 
-      private: (type == 'private')
+      private: (type == 'private'),
+      announce: (await parseTorrent(magnetUrl).catch(err => ({}))).announce
     };
 
   }else{
@@ -93,9 +96,12 @@ export async function get({link, id, magnetUrl, infoHash, name, size, type}){
     name: parseInfos.name || '',
     private: parseInfos.private || false,
     size: parseInfos.length || -1,
+    // Trackers, used by P2P streams
+    announce: parseInfos.announce || [],
     files: (parseInfos.files || []).map(file => {
       return {
         name: file.name,
+        path: file.path,
         size: file.length
       }
     })
@@ -109,7 +115,7 @@ export async function get({link, id, magnetUrl, infoHash, name, size, type}){
 
 export async function getById(id){
 
-  const cacheKey = `torrentInfos:${id}`;
+  const cacheKey = `${CACHE_KEY_PREFIX}:${id}`;
   const infos = await cache.get(cacheKey);
 
   if(!infos){
@@ -122,7 +128,7 @@ export async function getById(id){
 
 async function setById(id, infos){
 
-  const cacheKey = `torrentInfos:${id}`;
+  const cacheKey = `${CACHE_KEY_PREFIX}:${id}`;
   await cache.set(cacheKey, infos, {ttl: 86400*CACHE_FILE_DAYS});
 
   return infos;
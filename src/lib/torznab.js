@@ -0,0 +1,65 @@
+import { Parser } from 'xml2js';
+
+// Shared helpers for Torznab compatible APIs (Jackett, Prowlarr ...)
+
+export async function request(url, opts){
+
+  let data;
+  const res = await fetch(url, opts);
+  if((res.headers.get('content-type') || '').includes('application/json')){
+    data = await res.json();
+  }else{
+    const text = await res.text();
+    const parser = new Parser({explicitArray: false, ignoreAttrs: false});
+    data = await parser.parseStringPromise(text);
+  }
+
+  if(data?.error){
+    throw new Error(`${maskApiKey(url)} : ${data.error?.$?.description || data.error}`);
+  }
+
+  if(!res.ok){
+    throw new Error(`${maskApiKey(url)} : Invalid status ${res.status}`);
+  }
+
+  return data;
+
+}
+
+export function maskApiKey(url){
+  return `${url}`.replace(/apikey=[a-z0-9\-]+/i, 'apikey=****');
+}
+
+// Normalize the `caps` element returned by `t=caps` or `t=indexers`
+export function normalizeCaps(caps){
+  caps = mergeDollarKeys(caps || {});
+  const searching = caps.searching || {};
+  const normalizeSearch = (search) => ({
+    available: search?.available == 'yes',
+    supportedParams: `${search?.supportedParams || ''}`.split(',').map(param => param.trim()).filter(Boolean)
+  });
+  return {
+    categories: forceArray(caps.categories?.category || []).map(category => parseInt(category.id)),
+    searching: {
+      movie: normalizeSearch(searching['movie-search']),
+      series: normalizeSearch(searching['tv-search'])
+    }
+  };
+}
+
+export function mergeDollarKeys(item){
+  if(item.$){
+    item = {...item.$, ...item};
+    delete item.$;
+  }
+  for(let key in item){
+    if(item[key] && typeof(item[key]) === 'object'){
+      item[key] = mergeDollarKeys(item[key]);
+    }
+  }
+  return item;
+}
+
+export function forceArray(value){
+  return Array.isArray(value) ? value : [value];
+}
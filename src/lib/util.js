@@ -1,4 +1,5 @@
 import {setTimeout} from 'timers/promises';
+import {createHash, timingSafeEqual} from 'crypto';
 
 export function numberPad(number, count){
   return `${number}`.padStart(count || 2, 0);
@@ -8,17 +9,6 @@ export function parseWords(str){
   return str.replace(/[^a-zA-Z0-9]+/g, ' ').split(' ').filter(Boolean);
 }
 
-export function sortBy(...keys){
-  return (a, b) => {
-    if(typeof(keys[0]) == 'string')keys = [keys];
-    for(const [key, reverse] of keys){
-      if(a[key] > b[key])return reverse ? -1 : 1;
-      if(a[key] < b[key])return reverse ? 1 : -1;
-    }
-    return 0;
-  }
-}
-
 export function bytesToSize(bytes){
   const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
   if (bytes === 0) return '0 Byte';
@@ -60,4 +50,10 @@ export async function promiseTimeout(promise, ms){
   return Promise.race([waitPromise, promise.finally(() => {
     ac.abort();
   })]);
-}
\ No newline at end of file
+}
+
+// Constant time comparison of secrets (hashed to compare values of different lengths)
+export function safeEqual(a, b){
+  const hash = (value) => createHash('sha256').update(`${value ?? ''}`).digest();
+  return timingSafeEqual(hash(a), hash(b));
+}